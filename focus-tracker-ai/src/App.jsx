@@ -1,35 +1,180 @@
 // src/App.jsx
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import FaceMesh3D from "./components/FaceMesh3D.jsx";
+import FocusTimeline from "./components/FocusTimeline.jsx";
+import AnalyticsDashboard from "./components/AnalyticsDashboard.jsx";
+import ImportPanel from "./components/ImportPanel.jsx";
+import SurveyStats from "./components/SurveyStats.jsx";
+import NotesPanel from "./components/NotesPanel.jsx";
+import ShortcutHelp from "./components/ShortcutHelp.jsx";
+import { LineChart } from "./components/Charts.jsx";
 import "./css/App.css";
-import * as XLSX from "xlsx";
-import { saveAs } from "file-saver";
 import MovingBackground from "./components/MovingBackground.jsx";
+import { causeLabel, summarizeDistractions } from "./lib/distractions.js";
+import { TABLES, exportCsv, exportJsonBundle, exportWorkbook } from "./lib/exporter.js";
+import { DEFAULT_DURATION_MINUTES, DURATION_HINT, minutesUntil, parseDuration } from "./lib/duration.js";
+import { formatClock, formatDuration } from "./lib/format.js";
+import { PHASE_LABELS, isBreak, normalizePomodoro, phaseAt, sessionBlocks } from "./lib/pomodoro.js";
+import {
+  activeSeconds,
+  endPauses,
+  inPause,
+  isPaused,
+  pauseBreakdown,
+  pauseLabel,
+  startPause,
+} from "./lib/pauses.js";
+import { playCue } from "./lib/sounds.js";
+import { makeMarker, makeNote, noteLabel } from "./lib/notes.js";
+import { countDone, goalCompletion, goalFromTasks, makeTask, tasksFromGoal, toggleTask } from "./lib/tasks.js";
+import {
+  configFromTemplate,
+  deleteTemplate,
+  listTemplates,
+  NO_GOAL,
+  saveTemplate,
+  templateDuration,
+  UNTITLED_SUBJECT,
+} from "./lib/templates.js";
+import { listSubjects } from "./lib/analytics.js";
+import { actionForEvent, formatCombo, getBindings } from "./lib/shortcuts.js";
+import { drowsinessLabel, summarizeDrowsiness } from "./lib/drowsiness.js";
+import { fatigueSeries } from "./lib/fatigue.js";
+import { SESSION_MODES, getSessionMode, isDeskMode, modeLabel } from "./lib/sessionModes.js";
+import { averagePose, buildPoseBaseline, estimateHeadPose, formatAngle } from "./lib/headPose.js";
+import { CHECKPOINT_INTERVAL_MS, clearCheckpoint, loadCheckpoint, saveCheckpoint } from "./lib/checkpoint.js";
+import {
+  CURRENT_SURVEY,
+  formatAnswer,
+  getSurveyDefinition,
+  initialAnswers,
+  isVisible,
+  validateAnswers,
+  visibleAnswers,
+} from "./lib/surveySchema.js";
+import { loadHistory, makeId, saveSession, saveSurveyResult } from "./lib/storage.js";
+import {
+  DEFAULT_SETTINGS,
+  createProfile,
+  getSettings,
+  isLocked,
+  loadProfiles,
+  setActiveProfileId,
+  setProfilePin,
+  updateProfileSettings,
+  validatePin,
+  verifyPin,
+} from "./lib/profiles.js";
 
-/* ---------- Small helper: parse duration string ---------- */
-function parseDurationToMinutes(value) {
-  const trimmed = value.trim();
-  if (!trimmed) return 0;
-  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
-  const match = /^(\d+):(\d{1,2})$/.exec(trimmed);
-  if (match) {
-    const hours = parseInt(match[1], 10);
-    const mins = parseInt(match[2], 10);
-    if (mins >= 0 && mins < 60) return hours * 60 + mins;
-  }
-  return 0;
+// Session-relative offset in whole seconds, shared by timeline samples and events.
+const secondsSince = (startedAt, at) =>
+  Math.max(0, Math.round((at - new Date(startedAt).getTime()) / 1000));
+
+// Study time at wall-clock ms `at`: the clock stands still while the session is paused.
+const studySecondsAt = (config, pauses, at) => activeSeconds(pauses, secondsSince(config.startedAt, at));
+
+// Closes distraction or drowsiness events still open at endSec.
+const closeEvents = (events, endSec) =>
+  (events || []).map((e) => (e.duration == null ? { ...e, duration: Math.max(0, endSec - e.start) } : e));
+
+// Totals a remounted FaceMesh3D carries on from; one timeline sample per tracked
+// second, less any inside a pause (checkpoints from before away samples were dropped).
+function resumeStatsFrom(metrics, timeline, pauses) {
+  const totalMs = (timeline || []).filter((s) => !inPause(pauses, s.t)).length * 1000;
+  return {
+    totalMs,
+    focusedMs: Math.round(((metrics?.focusPercent ?? 100) / 100) * totalMs),
+    distractions: metrics?.distractions ?? 0,
+    drowsiness: metrics?.drowsiness ?? null,
+    fatigue: metrics?.fatigue ?? null,
+  };
+}
+
+// Turns live (or checkpointed) session state into the stored session record, ended at endMs.
+function buildCompletedSession(live, profileId, endMs) {
+  const { config, metrics, pauses, extendedMinutes = 0, timeline = [], distractionEvents, drowsinessEvents } = live;
+  const tasks = live.tasks || config.tasks || [];
+  const durationSec = secondsSince(config.startedAt, endMs);
+  const closedPauses = endPauses(pauses, durationSec);
+  // time spent paused is not study time
+  const studySec = activeSeconds(closedPauses, durationSec);
+  const plannedSec = (config.durationMinutes + extendedMinutes) * 60;
+  const session = {
+    ...config,
+    id: makeId(),
+    profileId,
+    endedAt: new Date(endMs).toISOString(),
+    actualMinutes: Math.round(studySec / 60),
+    extendedMinutes,
+    // study time past the plan and its extensions
+    overtimeMinutes: plannedSec > 0 ? Math.max(0, Math.round((studySec - plannedSec) / 60)) : 0,
+    focusPercent: metrics?.focusPercent ?? 0,
+    // the fatigue score as the session ended
+    fatigueScore: metrics?.fatigueScore ?? null,
+    distractions: metrics?.distractions ?? 0,
+    tasks,
+    goalCompletion: goalCompletion(tasks),
+    notes: live.notes || [],
+    timeline,
+    pauses: closedPauses,
+    // a distraction still open when the session ends lasts until the end
+    distractionEvents: closeEvents(distractionEvents, durationSec),
+    drowsinessEvents: closeEvents(drowsinessEvents, durationSec),
+  };
+  Object.assign(session, summarizeDrowsiness(metrics?.drowsiness, session.drowsinessEvents));
+  session.pomodoroBlocks = config.pomodoro ? sessionBlocks(config.pomodoro, timeline, closedPauses, durationSec) : [];
+  return session;
 }
 
 /* ---------- Small page components ---------- */
 
-function LoginPage({ onLogin }) {
+function LoginPage({ profiles, onSelectProfile, onCreateProfile }) {
   const [name, setName] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [unlockingId, setUnlockingId] = useState(null);
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
 
-  const handleSubmit = (e) => {
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
     e.preventDefault();
     const trimmed = name.trim();
     if (!trimmed) return;
-    onLogin(trimmed);
+    if (newPin) {
+      const pinError = validatePin(newPin);
+      if (pinError) {
+        setError(pinError);
+        return;
+      }
+    }
+    run(() => onCreateProfile({ name: trimmed, pin: newPin }));
+  };
+
+  const handlePick = (profile) => {
+    if (isLocked(profile)) {
+      setUnlockingId(profile.id);
+      setPin("");
+      setError("");
+      return;
+    }
+    run(() => onSelectProfile(profile));
+  };
+
+  const handleUnlock = (e, profile) => {
+    e.preventDefault();
+    run(() => onSelectProfile(profile, pin));
   };
 
   return (
@@ -38,12 +183,52 @@ function LoginPage({ onLogin }) {
       <div className="session-card auth-card">
         <h1 className="session-title">Welcome to Focus Tracker AI</h1>
         <p className="session-description">
-          Log in with a name or nickname to start tracking your study sessions.
+          {profiles.length
+            ? "Pick your profile to continue, or create a new one."
+            : "Create a profile to start tracking your study sessions."}
         </p>
 
-        <form onSubmit={handleSubmit} className="form-grid">
+        {profiles.length > 0 && (
+          <ul className="profile-list">
+            {profiles.map((p) => (
+              <li key={p.id} className="profile-item">
+                <div className="profile-main">
+                  <div className="profile-title">{p.name}</div>
+                  <button
+                    type="button"
+                    className="btn btn-secondary small"
+                    disabled={busy}
+                    onClick={() => handlePick(p)}
+                  >
+                    {isLocked(p) ? "Unlock" : "Continue"}
+                  </button>
+                </div>
+                {isLocked(p) && <div className="profile-meta">Locked with a PIN</div>}
+                {unlockingId === p.id && (
+                  <form className="pin-row" onSubmit={(e) => handleUnlock(e, p)}>
+                    <input
+                      className="text-input"
+                      type="password"
+                      inputMode="numeric"
+                      autoComplete="off"
+                      placeholder="PIN"
+                      autoFocus
+                      value={pin}
+                      onChange={(e) => setPin(e.target.value)}
+                    />
+                    <button type="submit" className="btn btn-primary small" disabled={busy || !pin}>
+                      Open
+                    </button>
+                  </form>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleCreate} className="form-grid">
           <div className="form-field">
-            <label htmlFor="name">Name</label>
+            <label htmlFor="name">New profile name</label>
             <input
               id="name"
               className="text-input"
@@ -53,8 +238,23 @@ function LoginPage({ onLogin }) {
               onChange={(e) => setName(e.target.value)}
             />
           </div>
-          <button type="submit" className="btn btn-primary">
-            Log in
+          <div className="form-field">
+            <label htmlFor="new-pin">
+              PIN <span className="muted-text">(optional, 4-8 digits)</span>
+            </label>
+            <input
+              id="new-pin"
+              className="text-input"
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              value={newPin}
+              onChange={(e) => setNewPin(e.target.value)}
+            />
+          </div>
+          {error && <p className="form-error">{error}</p>}
+          <button type="submit" className="btn btn-primary" disabled={busy || !name.trim()}>
+            Create profile
           </button>
         </form>
       </div>
@@ -62,15 +262,97 @@ function LoginPage({ onLogin }) {
   );
 }
 
-function HomePage({ userName, onStartSessionClick, onProfileClick, onSurveyResultsClick }) {
+function HomePage({ profile, onQuickStart, onStartSessionClick, onProfileClick, onSurveyResultsClick, onSwitchProfile, onSetPin, onRemovePin }) {
+  // "change" (or add) and "remove" each open a small PIN form
+  const [pinForm, setPinForm] = useState(null);
+  const [pin, setPin] = useState("");
+  const [pinError, setPinError] = useState("");
+
+  const togglePinForm = (form) => {
+    setPinForm((current) => (current === form ? null : form));
+    setPin("");
+    setPinError("");
+  };
+
+  const savePin = async (e) => {
+    e.preventDefault();
+    try {
+      await onSetPin(pin);
+      setPinForm(null);
+      setPin("");
+      setPinError("");
+    } catch (err) {
+      setPinError(err?.message || String(err));
+    }
+  };
+
+  // removing the lock asks for the PIN it protects
+  const removePin = async (e) => {
+    e.preventDefault();
+    try {
+      await onRemovePin(pin);
+      setPinForm(null);
+      setPin("");
+      setPinError("");
+    } catch (err) {
+      setPinError(err?.message || String(err));
+    }
+  };
+
   return (
     <div className="app-root">
   <MovingBackground />
       <div className="session-card">
-        <h1 className="session-title">Hi {userName}, ready to focus?</h1>
+        <h1 className="session-title">Hi {profile.name}, ready to focus?</h1>
         <p className="session-description">
           Choose what you want to do. You can start a new focus session, review past sessions, or see survey results.
         </p>
+        <div className="active-profile">
+          Active profile: <strong>{profile.name}</strong>
+          <span className="muted-text">{isLocked(profile) ? " · PIN locked" : " · No PIN"}</span>
+          <button type="button" className="link-button" onClick={() => togglePinForm("change")}>
+            {isLocked(profile) ? "Change PIN" : "Add PIN"}
+          </button>
+          {isLocked(profile) && (
+            <button type="button" className="link-button" onClick={() => togglePinForm("remove")}>
+              Remove PIN
+            </button>
+          )}
+        </div>
+        {pinForm === "change" && (
+          <form className="pin-row" onSubmit={savePin}>
+            <input
+              className="text-input"
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              placeholder="New PIN (4-8 digits)"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary small" disabled={!pin}>
+              Save PIN
+            </button>
+          </form>
+        )}
+        {pinForm === "remove" && (
+          <form className="pin-row" onSubmit={removePin}>
+            <input
+              className="text-input"
+              type="password"
+              inputMode="numeric"
+              autoComplete="current-password"
+              placeholder="Current PIN"
+              aria-label="Current PIN"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+            />
+            <button type="submit" className="btn btn-outline-danger small" disabled={!pin}>
+              Remove PIN
+            </button>
+          </form>
+        )}
+        {pinError && <p className="form-error">{pinError}</p>}
 
         <div className="home-actions">
           <button className="btn btn-primary" onClick={onStartSessionClick}>
@@ -82,29 +364,128 @@ function HomePage({ userName, onStartSessionClick, onProfileClick, onSurveyResul
           <button className="btn btn-secondary" onClick={onSurveyResultsClick}>
             Survey results
           </button>
+          <button className="btn btn-secondary" onClick={onSwitchProfile}>
+            Switch profile
+          </button>
         </div>
+
+        {listTemplates(profile).length > 0 && (
+          <div className="quick-start">
+            <h2 className="section-title">Quick start</h2>
+            <div className="toggle-row">
+              {listTemplates(profile).map((t) => (
+                <button
+                  key={t.id}
+                  type="button"
+                  className="chip"
+                  title={`${t.subject} · ${templateDuration(t)}${t.pomodoro ? " · Pomodoro" : ""}`}
+                  onClick={() => onQuickStart(t)}
+                >
+                  {t.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
-function PreSessionForm({ onBack, onStart }) {
+function PreSessionForm({ settings, templates, subjects, onSaveTemplate, onDeleteTemplate, onBack, onStart }) {
   const [subject, setSubject] = useState("");
-  const [goal, setGoal] = useState("");
-  const [durationInput, setDurationInput] = useState("60");
-  const [wantsBackgroundAudio, setWantsBackgroundAudio] = useState(true);
-  const [wantsAlerts, setWantsAlerts] = useState(true);
+  const [tasks, setTasks] = useState([]);
+  const [newTask, setNewTask] = useState("");
+  const [durationInput, setDurationInput] = useState(String(DEFAULT_DURATION_MINUTES));
+  const [distractionDelaySec, setDistractionDelaySec] = useState(String(settings.distractionDelaySec));
+  const [templateName, setTemplateName] = useState("");
+  const [templateError, setTemplateError] = useState("");
+  const [activeTemplateId, setActiveTemplateId] = useState(null);
+  const duration = parseDuration(durationInput);
+  const [wantsBackgroundAudio, setWantsBackgroundAudio] = useState(settings.wantsBackgroundAudio);
+  const [wantsAlerts, setWantsAlerts] = useState(settings.wantsAlerts);
+  const [awaySeconds, setAwaySeconds] = useState(String(settings.awaySeconds ?? 0));
+  const [fatigueBreakLevel, setFatigueBreakLevel] = useState(String(settings.fatigueBreakLevel ?? 0));
+  const [autoEnd, setAutoEnd] = useState(settings.autoEnd);
+  const [sessionMode, setSessionMode] = useState(getSessionMode(settings.sessionMode).id);
+  const [usePomodoro, setUsePomodoro] = useState(settings.usePomodoro);
+  const [pomodoro, setPomodoro] = useState(() => normalizePomodoro(settings.pomodoroSettings));
+
+  const setPomodoroField = (field) => (e) => setPomodoro((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const addTask = () => {
+    if (!newTask.trim()) return;
+    setTasks((prev) => [...prev, makeTask(newTask)]);
+    setNewTask("");
+  };
+
+  // a task typed but not yet added still counts
+  const allTasks = () => (newTask.trim() ? [...tasks, makeTask(newTask)] : tasks);
+
+  const buildConfig = () => ({
+    subject: subject.trim() || UNTITLED_SUBJECT,
+    goal: goalFromTasks(allTasks()) || NO_GOAL,
+    tasks: allTasks(),
+    durationMinutes: parseDuration(durationInput).minutes,
+    // "until 17:30" keeps its end time; the minutes are counted again once calibration starts the session
+    endsAt: parseDuration(durationInput).endsAt?.toISOString() ?? null,
+    wantsBackgroundAudio,
+    wantsAlerts,
+    pomodoro: usePomodoro ? normalizePomodoro(pomodoro) : null,
+    // 0 turns away detection off
+    awaySeconds: Math.max(0, Math.round(Number(awaySeconds)) || 0),
+    // 0 counts a distraction right away; only a blank or unreadable field falls back to the default
+    distractionDelaySec:
+      distractionDelaySec.trim() !== "" && Number.isFinite(Number(distractionDelaySec))
+        ? Math.max(0, Number(distractionDelaySec))
+        : DEFAULT_SETTINGS.distractionDelaySec,
+    // 0 never suggests a break
+    fatigueBreakLevel: Math.min(100, Math.max(0, Math.round(Number(fatigueBreakLevel)) || 0)),
+    sessionMode,
+    autoEnd,
+  });
+
+  const applyTemplate = (template) => {
+    const config = configFromTemplate(template, settings);
+    setSubject(config.subject || "");
+    // templates saved before checklists only have the goal text
+    setTasks(
+      config.tasks.length ? config.tasks : tasksFromGoal(config.goal === NO_GOAL ? "" : config.goal)
+    );
+    setNewTask("");
+    // an "until" template reads back as its end time, not as minutes counted when it was saved
+    setDurationInput(template.endsAtTime ? `until ${template.endsAtTime}` : String(config.durationMinutes ?? ""));
+    setWantsBackgroundAudio(config.wantsBackgroundAudio);
+    setWantsAlerts(config.wantsAlerts);
+    setAwaySeconds(String(config.awaySeconds ?? 0));
+    setDistractionDelaySec(String(config.distractionDelaySec));
+    setFatigueBreakLevel(String(config.fatigueBreakLevel ?? 0));
+    setSessionMode(getSessionMode(config.sessionMode).id);
+    setAutoEnd(config.autoEnd);
+    setUsePomodoro(Boolean(config.pomodoro));
+    if (config.pomodoro) setPomodoro(config.pomodoro);
+    setTemplateName(template.name);
+    setTemplateError("");
+    setActiveTemplateId(template.id);
+  };
+
+  const handleSaveTemplate = async () => {
+    setTemplateError("");
+    if (duration.error) {
+      setTemplateError(duration.error);
+      return;
+    }
+    try {
+      await onSaveTemplate(templateName, buildConfig());
+    } catch (err) {
+      setTemplateError(err?.message || String(err));
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    const minutes = parseDurationToMinutes(durationInput);
-    onStart({
-      subject: subject.trim() || "Untitled session",
-      goal: goal.trim() || "No specific goal",
-      durationMinutes: minutes,
-      wantsBackgroundAudio,
-      wantsAlerts,
-    });
+    if (duration.error) return;
+    onStart(buildConfig());
   };
 
   return (
@@ -117,34 +498,99 @@ function PreSessionForm({ onBack, onStart }) {
         </p>
 
         <form className="form-grid" onSubmit={handleSubmit}>
+          {templates.length > 0 && (
+            <div className="form-field">
+              <label>Start from a template</label>
+              <div className="toggle-row">
+                {templates.map((t) => (
+                  <span key={t.id} className="template-chip">
+                    <button
+                      type="button"
+                      className={"chip " + (activeTemplateId === t.id ? "chip-active" : "")}
+                      onClick={() => applyTemplate(t)}
+                    >
+                      {t.name}
+                    </button>
+                    <button
+                      type="button"
+                      className="link-button"
+                      aria-label={`Delete template ${t.name}`}
+                      title="Delete template"
+                      onClick={() => onDeleteTemplate(t.id)}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="form-field">
             <label htmlFor="subject">What are you studying today?</label>
             <input
               id="subject"
               className="text-input"
               type="text"
+              list="subject-options"
+              autoComplete="off"
               placeholder="e.g. ELEC 275 midterm"
               value={subject}
               onChange={(e) => setSubject(e.target.value)}
             />
+            <datalist id="subject-options">
+              {subjects.map((name) => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
           </div>
 
           <div className="form-field">
-            <label htmlFor="goal">What is your goal for this session?</label>
-            <textarea
-              id="goal"
-              className="text-input textarea"
-              placeholder="e.g. Finish 3 problem sets"
-              value={goal}
-              onChange={(e) => setGoal(e.target.value)}
-            />
+            <label htmlFor="new-task">What do you want to get done this session?</label>
+            {tasks.length > 0 && (
+              <ul className="task-list">
+                {tasks.map((t) => (
+                  <li key={t.id}>
+                    <span>{t.text}</span>
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => setTasks((prev) => prev.filter((x) => x.id !== t.id))}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="pin-row">
+              <input
+                id="new-task"
+                className="text-input"
+                type="text"
+                placeholder="e.g. Finish problem set 3"
+                value={newTask}
+                onChange={(e) => setNewTask(e.target.value)}
+                onKeyDown={(e) => {
+                  // Enter adds the task instead of submitting the form
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    addTask();
+                  }
+                }}
+              />
+              <button type="button" className="btn btn-secondary small" disabled={!newTask.trim()} onClick={addTask}>
+                Add task
+              </button>
+            </div>
+            <p className="muted-text" style={{ margin: 0 }}>Tick tasks off during the session to track your goal.</p>
           </div>
 
           <div className="form-row">
             <div className="form-field">
               <label htmlFor="duration">
                 How long do you plan to study?<br />
-                <span className="muted-text">(Minutes or h:mm)</span>
+                <span className="muted-text">(e.g. 90, 1:30, 1h30m or until 17:30)</span>
               </label>
               <input
                 id="duration"
@@ -153,7 +599,19 @@ function PreSessionForm({ onBack, onStart }) {
                 value={durationInput}
                 onChange={(e) => setDurationInput(e.target.value)}
                 placeholder="e.g. 90 or 1:30"
+                aria-invalid={Boolean(duration.error)}
+                aria-describedby="duration-feedback"
+                title={DURATION_HINT}
               />
+              {duration.error ? (
+                <p id="duration-feedback" className="form-error">{duration.error}</p>
+              ) : (
+                <p id="duration-feedback" className="muted-text" style={{ margin: 0 }}>
+                  {formatDuration(duration.minutes * 60)}
+                  {duration.endsAt &&
+                    `, ending at ${duration.endsAt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`}
+                </p>
+              )}
             </div>
 
             <div className="form-field">
@@ -198,11 +656,159 @@ function PreSessionForm({ onBack, onStart }) {
             </div>
           </div>
 
+          <div className="form-field">
+            <label>When the planned time is up</label>
+            <div className="toggle-row">
+              <button
+                type="button"
+                className={"chip " + (!autoEnd ? "chip-active" : "")}
+                onClick={() => setAutoEnd(false)}
+              >
+                Ask me
+              </button>
+              <button
+                type="button"
+                className={"chip " + (autoEnd ? "chip-active" : "")}
+                onClick={() => setAutoEnd(true)}
+              >
+                End and go to the survey
+              </button>
+            </div>
+          </div>
+
+          <div className="form-field">
+            <label htmlFor="distraction-delay">Count a distraction after (seconds)</label>
+            <input
+              id="distraction-delay"
+              className="text-input"
+              type="number"
+              min="0"
+              step="0.5"
+              value={distractionDelaySec}
+              onChange={(e) => setDistractionDelaySec(e.target.value)}
+            />
+            <p className="muted-text" style={{ margin: 0 }}>
+              How long you can look away before it counts as a distraction.
+            </p>
+          </div>
+
+          <div className="form-field">
+            <label htmlFor="away-seconds">Auto-pause when away from the desk after (seconds)</label>
+            <input
+              id="away-seconds"
+              className="text-input"
+              type="number"
+              min="0"
+              value={awaySeconds}
+              onChange={(e) => setAwaySeconds(e.target.value)}
+            />
+            <p className="muted-text" style={{ margin: 0 }}>
+              With no face in view this long, the session pauses and resumes when you return. 0 turns it off.
+            </p>
+          </div>
+
+          <div className="form-field">
+            <label htmlFor="fatigue-break-level">Suggest a break at fatigue score (0-100)</label>
+            <input
+              id="fatigue-break-level"
+              className="text-input"
+              type="number"
+              min="0"
+              max="100"
+              value={fatigueBreakLevel}
+              onChange={(e) => setFatigueBreakLevel(e.target.value)}
+            />
+            <p className="muted-text" style={{ margin: 0 }}>
+              The score rises with yawns, a climbing blink rate and a drooping head. 0 never suggests a break.
+            </p>
+          </div>
+
+          <div className="form-field">
+            <label>Where you work</label>
+            <div className="toggle-row">
+              {SESSION_MODES.map((m) => (
+                <button
+                  key={m.id}
+                  type="button"
+                  className={"chip " + (sessionMode === m.id ? "chip-active" : "")}
+                  onClick={() => setSessionMode(m.id)}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+            <p className="muted-text" style={{ margin: 0 }}>
+              {getSessionMode(sessionMode).description}
+              {isDeskMode(sessionMode) && " Calibration adds a step to record how you look down at your notes."}
+            </p>
+          </div>
+
+          <div className="form-field">
+            <label>Session structure</label>
+            <div className="toggle-row">
+              <button
+                type="button"
+                className={"chip " + (!usePomodoro ? "chip-active" : "")}
+                onClick={() => setUsePomodoro(false)}
+              >
+                Single session
+              </button>
+              <button
+                type="button"
+                className={"chip " + (usePomodoro ? "chip-active" : "")}
+                onClick={() => setUsePomodoro(true)}
+              >
+                Pomodoro intervals
+              </button>
+            </div>
+            {usePomodoro && (
+              <div className="form-row pomodoro-settings">
+                <div className="form-field">
+                  <label htmlFor="pomodoro-work">Work (min)</label>
+                  <input id="pomodoro-work" className="text-input" type="number" min="1" value={pomodoro.workMinutes} onChange={setPomodoroField("workMinutes")} />
+                </div>
+                <div className="form-field">
+                  <label htmlFor="pomodoro-break">Short break (min)</label>
+                  <input id="pomodoro-break" className="text-input" type="number" min="1" value={pomodoro.breakMinutes} onChange={setPomodoroField("breakMinutes")} />
+                </div>
+                <div className="form-field">
+                  <label htmlFor="pomodoro-long">Long break (min)</label>
+                  <input id="pomodoro-long" className="text-input" type="number" min="1" value={pomodoro.longBreakMinutes} onChange={setPomodoroField("longBreakMinutes")} />
+                </div>
+                <div className="form-field">
+                  <label htmlFor="pomodoro-cycles">Work blocks per long break</label>
+                  <input id="pomodoro-cycles" className="text-input" type="number" min="1" value={pomodoro.cyclesBeforeLongBreak} onChange={setPomodoroField("cyclesBeforeLongBreak")} />
+                </div>
+              </div>
+            )}
+            {usePomodoro && (
+              <p className="muted-text" style={{ margin: 0 }}>Focus tracking and alert beeps pause during breaks.</p>
+            )}
+          </div>
+
+          <div className="form-field">
+            <label htmlFor="template-name">Save these settings as a template</label>
+            <div className="pin-row">
+              <input
+                id="template-name"
+                className="text-input"
+                type="text"
+                placeholder="e.g. Morning problem sets"
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+              />
+              <button type="button" className="btn btn-secondary small" disabled={!templateName.trim()} onClick={handleSaveTemplate}>
+                Save template
+              </button>
+            </div>
+            {templateError && <p className="form-error">{templateError}</p>}
+          </div>
+
           <div className="form-actions">
             <button type="button" className="btn btn-secondary" onClick={onBack}>
               Back
             </button>
-            <button type="submit" className="btn btn-primary">
+            <button type="submit" className="btn btn-primary" disabled={Boolean(duration.error)}>
               Start focus session
             </button>
           </div>
@@ -212,18 +818,29 @@ function PreSessionForm({ onBack, onStart }) {
   );
 }
 
+// head-pose estimates averaged into each captured calibration point
+const CALIBRATION_POSE_SAMPLES = 10;
+
 function GazeCalibrationPage({ config, onCancel, onComplete }) {
   const [loading, setLoading] = useState(true);
   const [lastGaze, setLastGaze] = useState(null);
   const [points, setPoints] = useState([]);
+  const [poses, setPoses] = useState([]);
+  const [livePose, setLivePose] = useState(null);
+  const recentPosesRef = useRef([]);
   const [step, setStep] = useState(0);
   const [showGazeMarker, setShowGazeMarker] = useState(true);
 
+  // the center point records the neutral head pose; the corners only bound the gaze.
+  // Desk modes end with the pose used to look down at the notes.
+  const deskMode = isDeskMode(config?.sessionMode);
   const steps = [
+    { label: "Center", x: "50%", y: "50%" },
     { label: "Top-left", x: "12%", y: "12%" },
     { label: "Top-right", x: "88%", y: "12%" },
     { label: "Bottom-right", x: "88%", y: "88%" },
     { label: "Bottom-left", x: "12%", y: "88%" },
+    ...(deskMode ? [{ label: "Desk: look down at your notes", x: "50%", y: "97%" }] : []),
   ];
 
   useEffect(() => {
@@ -256,6 +873,15 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
           if (!data || typeof data.x !== "number" || typeof data.y !== "number")
             return;
           setLastGaze({ x: data.x, y: data.y });
+          let pose = null;
+          try {
+            // WebGazer's mesh is unmirrored; FaceMesh3D reads its mirrored one with `mirrored`, so the angles agree
+            pose = estimateHeadPose(wg.getTracker?.()?.getPositions?.());
+          } catch {
+            // trackers without a face mesh give no pose; the baseline is skipped
+          }
+          if (pose) recentPosesRef.current = [...recentPosesRef.current.slice(1 - CALIBRATION_POSE_SAMPLES), pose];
+          setLivePose(pose);
         }).begin();
       })
       .catch(() => setLoading(false));
@@ -276,10 +902,14 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
   const capturePoint = () => {
     if (!lastGaze) return;
     const next = [...points, lastGaze];
+    const nextPoses = [...poses, averagePose(recentPosesRef.current)];
     setPoints(next);
+    setPoses(nextPoses);
+    recentPosesRef.current = [];
     if (next.length >= steps.length) {
-      const xs = next.map((p) => p.x);
-      const ys = next.map((p) => p.y);
+      const corners = next.slice(1, 5);
+      const xs = corners.map((p) => p.x);
+      const ys = corners.map((p) => p.y);
       const minX = Math.min(...xs);
       const maxX = Math.max(...xs);
       const minY = Math.min(...ys);
@@ -288,13 +918,16 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
       const height = Math.max(1, maxY - minY);
       // Use a generous margin so "outside" truly means well beyond the calibrated window
       const margin = Math.max(120, Math.round(0.2 * Math.min(width, height)));
-      onComplete({
-        minX,
-        maxX,
-        minY,
-        maxY,
-        margin,
-      });
+      onComplete(
+        {
+          minX,
+          maxX,
+          minY,
+          maxY,
+          margin,
+        },
+        buildPoseBaseline(nextPoses[0], nextPoses.slice(1, 5), deskMode ? nextPoses[5] : null)
+      );
     } else {
       setStep(next.length);
     }
@@ -302,6 +935,8 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
 
   const reset = () => {
     setPoints([]);
+    setPoses([]);
+    recentPosesRef.current = [];
     setStep(0);
   };
 
@@ -312,8 +947,12 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
       <div className="calibration-card">
         <h1 className="session-title">Gaze calibration</h1>
         <p className="session-description">
-          Look at each highlighted corner dot and click &quot;Capture corner&quot; to calibrate your gaze limits.
-          This runs before the session timer starts.
+          Look at each highlighted dot, starting in the center, and click &quot;Capture point&quot; to calibrate your
+          gaze limits. Turn your head as you naturally would; the center point records your neutral head pose.
+          {deskMode && " For the last step, look down at your notes or textbook as you do while working."}
+          {config?.startedAt
+            ? " Your session is paused until you finish or cancel."
+            : " This runs before the session timer starts."}
         </p>
 
         <div className="calibration-stage">
@@ -343,12 +982,17 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
         <div className="form-grid">
           <div className="form-field">
             <label className="range-label">
-              <span>Current corner</span>
+              <span>Current point</span>
               <span className="range-value">{current?.label}</span>
             </label>
             <p className="muted-text" style={{ margin: 0 }}>
               Keep your gaze steady on the highlighted dot, then click capture. Captured: {points.length}/{steps.length}.
             </p>
+            <p className="muted-text" style={{ margin: 0 }}>
+              {livePose
+                ? `Head pose: yaw ${formatAngle(livePose.yaw)} · pitch ${formatAngle(livePose.pitch)} · roll ${formatAngle(livePose.roll)}`
+                : "Head pose: not detected yet (focus thresholds fall back to the defaults)"}
+            </p>
           </div>
 
           <div className="form-actions">
@@ -361,7 +1005,7 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
                 Reset
               </button>
               <button className="btn btn-primary" type="button" onClick={capturePoint} disabled={!lastGaze || loading}>
-                {step >= steps.length - 1 ? "Finish calibration" : "Capture corner"}
+                {step >= steps.length - 1 ? "Finish calibration" : "Capture point"}
               </button>
             </div>
           </div>
@@ -372,6 +1016,9 @@ function GazeCalibrationPage({ config, onCancel, onComplete }) {
 }
 
 function ProfilePage({ userName, sessions, onBack }) {
+  const [tab, setTab] = useState("analytics");
+  const costs = summarizeDistractions(sessions);
+
   return (
     <div className="app-root">
   <MovingBackground />
@@ -381,9 +1028,36 @@ function ProfilePage({ userName, sessions, onBack }) {
           Past study sessions, goals, and planned durations.
         </p>
 
+        <div className="toggle-row tab-row">
+          <button type="button" className={"chip " + (tab === "analytics" ? "chip-active" : "")} onClick={() => setTab("analytics")}>
+            Analytics
+          </button>
+          <button type="button" className={"chip " + (tab === "history" ? "chip-active" : "")} onClick={() => setTab("history")}>
+            Session history
+          </button>
+        </div>
+
+        {tab === "analytics" && sessions.length > 0 && <AnalyticsDashboard sessions={sessions} />}
+
+        {tab === "history" && costs.length > 0 && (
+          <div className="distraction-summary">
+            <h2 className="section-title">What costs you the most focus</h2>
+            <ul>
+              {costs.map((c) => (
+                <li key={c.cause}>
+                  <strong>{causeLabel(c.cause)}</strong>
+                  <span className="muted-text">
+                    {" "}· {c.count} {c.count === 1 ? "time" : "times"} · {formatDuration(c.seconds)} lost
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {sessions.length === 0 ? (
           <p className="muted-text">No sessions recorded yet.</p>
-        ) : (
+        ) : tab === "history" && (
           <ul className="profile-list">
             {sessions.map((s, idx) => (
               <li key={idx} className="profile-item">
@@ -393,17 +1067,117 @@ function ProfilePage({ userName, sessions, onBack }) {
                     {s.actualMinutes != null
                       ? `Studied ~${s.actualMinutes} min`
                       : "Duration not recorded"}{" "}
-                    · Planned {s.durationMinutes} min · {new Date(s.startedAt).toLocaleString()}
+                    · Planned {s.durationMinutes} min
+                    {s.extendedMinutes > 0 && ` (+${s.extendedMinutes} min extended)`}
+                    {s.overtimeMinutes > 0 && ` · ${s.overtimeMinutes} min overtime`}
+                    {" "}· {new Date(s.startedAt).toLocaleString()}
                   </div>
                   <div className="profile-meta">
                     Focus: {s.focusPercent != null ? `${s.focusPercent}%` : "Not recorded"} | Distractions:{" "}
                     {s.distractions != null ? s.distractions : "Not recorded"}
+                    {s.tasks?.length > 0 && ` | Goal: ${countDone(s.tasks)}/${s.tasks.length} tasks (${s.goalCompletion ?? goalCompletion(s.tasks)}%)`}
+                    {s.fatigueScore != null && ` | Fatigue at end: ${s.fatigueScore}/100`}
                   </div>
                   <div className="profile-meta">
-                    Alert beep: {s.wantsAlerts === false ? "Disabled" : "Enabled"}
+                    Alert beep: {s.wantsAlerts === false ? "Disabled" : "Enabled"} · Mode: {modeLabel(s.sessionMode)}
                   </div>
+                  {s.perclos != null && (
+                    <div className="profile-meta">
+                      Alertness: {s.blinkRate != null ? `${s.blinkRate} blinks/min` : "Blink rate not recorded"} ·
+                      PERCLOS {s.perclos}% · {s.microsleeps || 0} microsleeps · {s.yawns || 0} yawns · Drowsy{" "}
+                      {s.drowsyMinutes || 0} min
+                    </div>
+                  )}
+                  {s.pauses?.length > 0 && (
+                    <div className="profile-meta">
+                      {pauseBreakdown(s.pauses)
+                        .map((p) => `${p.label}: ${formatDuration(p.seconds)}`)
+                        .join(" · ")}
+                    </div>
+                  )}
                 </div>
-                <div className="profile-goal">{s.goal}</div>
+                {s.tasks?.length > 0 ? (
+                  <ul className="profile-goal task-list">
+                    {s.tasks.map((t) => (
+                      <li key={t.id} className={t.doneAt != null ? "task-done" : ""}>
+                        {t.doneAt != null ? "✓" : "○"} {t.text}
+                        {t.doneAt != null && <span className="muted-text"> · done at {formatClock(t.doneAt)}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <div className="profile-goal">{s.goal}</div>
+                )}
+                <FocusTimeline timeline={s.timeline} notes={s.notes} />
+                {s.timeline?.some((t) => t.fatigue != null) && (
+                  <details className="distraction-log">
+                    <summary>Fatigue over the session</summary>
+                    <LineChart
+                      points={fatigueSeries(s.timeline)}
+                      yMax={100}
+                      height={160}
+                      formatX={(minute) => `${minute}m`}
+                    />
+                  </details>
+                )}
+                {s.notes?.length > 0 && (
+                  <details className="distraction-log">
+                    <summary>Notes and markers ({s.notes.length})</summary>
+                    <ul>
+                      {s.notes.map((n, i) => (
+                        <li key={i}>
+                          {formatClock(n.t)} · {noteLabel(n)}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {s.pomodoroBlocks?.length > 0 && (
+                  <div className="pomodoro-blocks">
+                    {s.pomodoroBlocks.filter((b) => b.kind === "work").map((b) => (
+                      <span key={b.cycle} className="chip" title={`${formatClock(b.start)} - ${formatClock(b.end)}`}>
+                        Block {b.cycle}: {b.focusPercent != null ? `${b.focusPercent}%` : "No data"}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {s.pauses?.length > 0 && (
+                  <details className="distraction-log">
+                    <summary>Pauses ({s.pauses.length}, {formatDuration(s.pauses.reduce((sum, p) => sum + p.duration, 0))})</summary>
+                    <ul>
+                      {s.pauses.map((p, i) => (
+                        <li key={i}>
+                          {formatClock(p.start)} · {pauseLabel(p.reason)} · {formatDuration(p.duration)}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {s.drowsinessEvents?.length > 0 && (
+                  <details className="distraction-log">
+                    <summary>Drowsiness log ({s.drowsinessEvents.length})</summary>
+                    <ul>
+                      {s.drowsinessEvents.map((e, i) => (
+                        <li key={i}>
+                          {formatClock(e.start)} · {drowsinessLabel(e.kind)} ·{" "}
+                          {e.kind === "drowsy" ? formatDuration(e.duration) : `${e.duration} s`}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {s.distractionEvents?.length > 0 && (
+                  <details className="distraction-log">
+                    <summary>Distraction log ({s.distractionEvents.length})</summary>
+                    <ul>
+                      {s.distractionEvents.map((e, i) => (
+                        <li key={i}>
+                          {formatClock(e.start)} · {causeLabel(e.cause)} · {formatDuration(e.duration)}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
               </li>
             ))}
           </ul>
@@ -417,28 +1191,142 @@ function ProfilePage({ userName, sessions, onBack }) {
   );
 }
 
+/* ---------- RECOVER SESSION PAGE ---------- */
+
+function RecoverSessionPage({ checkpoint, onResume, onSaveCompleted, onDiscard }) {
+  if (!checkpoint) return null;
+  const { config, metrics } = checkpoint;
+  return (
+    <div className="app-root">
+  <MovingBackground />
+      <div className="session-card">
+        <h1 className="session-title">Unfinished session found</h1>
+        <p className="session-description">
+          The app closed while <strong>{config.subject}</strong> was running. Resume it, or save it as it was when the
+          app closed.
+        </p>
+        <div className="profile-meta">
+          Started {new Date(config.startedAt).toLocaleString()} · Studied {formatDuration(checkpoint.elapsedSeconds)}
+          {" "}of {config.durationMinutes} min planned
+        </div>
+        <div className="profile-meta">
+          Focus: {metrics?.focusPercent != null ? `${metrics.focusPercent}%` : "Not recorded"} | Distractions:{" "}
+          {metrics?.distractions ?? "Not recorded"} · Last saved {new Date(checkpoint.savedAt).toLocaleTimeString()}
+        </div>
+        <div className="home-actions">
+          <button className="btn btn-primary" onClick={onResume}>
+            Resume session
+          </button>
+          <button className="btn btn-secondary" onClick={onSaveCompleted}>
+            Save as completed
+          </button>
+          <button className="btn btn-outline-danger" onClick={onDiscard}>
+            Discard
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /* ---------- SESSION PAGE ---------- */
 
-function SessionPage({ config, onEndSession, soundMuted, onToggleMute, userName, onMetricsUpdate, metrics, showGazeDot, onToggleGazeDot }) {
+function SessionPage({ config, tasks, onToggleTask, notes, onAddNote, onMark, pauses, resumeStats, onTogglePause, onAwayChange, extendedMinutes, overtimeAccepted, timeUpNotifiedSec, onTimeUpNotified, onExtend, onKeepGoing, onEndSession, soundMuted, onToggleMute, userName, onMetricsUpdate, onTimelineSample, onDistractionEvent, onDrowsinessEvent, drowsy, metrics, showGazeDot, onToggleGazeDot, showMesh, onToggleMesh, onRecalibrate, shortcuts, onChangeShortcuts }) {
   const rainAudioRef = useRef(null);
-  const [elapsedSeconds, setElapsedSeconds] = useState(0);
+  // a remount (recalibration, checkpoint resume) starts from the time already studied
+  const [elapsedSeconds, setElapsedSeconds] = useState(() =>
+    config?.startedAt ? studySecondsAt(config, pauses, Date.now()) : 0
+  );
+  const [extendBy, setExtendBy] = useState("10");
+  const paused = isPaused(pauses, "manual");
+  const away = isPaused(pauses, "away");
+  const plannedSeconds = ((config?.durationMinutes || 0) + extendedMinutes) * 60;
+  // a session planned with no duration never runs out
+  const timeUp = plannedSeconds > 0 && elapsedSeconds >= plannedSeconds;
+  const overtimeSeconds = timeUp ? elapsedSeconds - plannedSeconds : 0;
+
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [drowsyDismissed, setDrowsyDismissed] = useState(false);
+  const [fatigueDismissed, setFatigueDismissed] = useState(false);
+  const fatigueBreakLevel = config.fatigueBreakLevel ?? DEFAULT_SETTINGS.fatigueBreakLevel;
+  const tired = fatigueBreakLevel > 0 && metrics?.fatigueScore >= fatigueBreakLevel;
+
+  // a dismissed break suggestion comes back with the next drowsy spell, or the next time fatigue crosses the level
+  useEffect(() => {
+    if (!drowsy) setDrowsyDismissed(false);
+  }, [drowsy]);
+  useEffect(() => {
+    if (!tired) setFatigueDismissed(false);
+  }, [tired]);
+
+  // latest bindings and handlers in a ref so the key listener is attached once
+  const shortcutsRef = useRef({ bindings: shortcuts, handlers: {} });
+  useEffect(() => {
+    shortcutsRef.current.bindings = shortcuts;
+    shortcutsRef.current.handlers = {
+      pause: onTogglePause,
+      end: onEndSession,
+      mute: onToggleMute,
+      gazeDot: onToggleGazeDot,
+      mesh: onToggleMesh,
+      mark: onMark,
+      recalibrate: onRecalibrate,
+      help: () => setShowShortcuts(v => !v),
+    };
+  });
+
+  // ignored while typing (actionForEvent checks the target) so notes can contain any letter
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        setShowShortcuts(false);
+        return;
+      }
+      const { bindings, handlers } = shortcutsRef.current;
+      const action = actionForEvent(bindings, e);
+      if (!action) return;
+      e.preventDefault();
+      handlers[action]();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // latest handler in a ref so auto-end does not re-run the effect on every render
+  const onEndSessionRef = useRef(onEndSession);
+  useEffect(() => {
+    onEndSessionRef.current = onEndSession;
+  }, [onEndSession]);
+
+  // once per planned end: a remount after recalibrating or resuming has already announced it
+  useEffect(() => {
+    if (!timeUp || timeUpNotifiedSec === plannedSeconds) return;
+    playCue("done");
+    onTimeUpNotified(plannedSeconds);
+  }, [timeUp, plannedSeconds, timeUpNotifiedSec, onTimeUpNotified]);
+
+  useEffect(() => {
+    if (timeUp && config?.autoEnd) onEndSessionRef.current();
+  }, [timeUp, config?.autoEnd]);
+  const phase = config?.pomodoro ? phaseAt(config.pomodoro, elapsedSeconds) : null;
+  const phaseKey = phase ? `${phase.kind}-${phase.cycle}` : null;
+  // set from the resumed elapsed time, so a remount does not chime for the phase it is already in
+  const lastPhaseKeyRef = useRef(phaseKey);
+
+  // chime on every phase change, but not when the session first opens or reopens
+  useEffect(() => {
+    if (!phaseKey || phaseKey === lastPhaseKeyRef.current) return;
+    lastPhaseKeyRef.current = phaseKey;
+    playCue(phaseKey.split("-")[0]);
+  }, [phaseKey]);
 
   useEffect(() => {
     if (!config?.startedAt) return;
-    const startMs = new Date(config.startedAt).getTime();
-    const update = () => setElapsedSeconds(Math.floor((Date.now() - startMs) / 1000));
+    const update = () => setElapsedSeconds(studySecondsAt(config, pauses, Date.now()));
     update();
     const id = setInterval(update, 1000);
     return () => clearInterval(id);
-  }, [config]);
-
-  const formatTime = (sec) => {
-    const hours = Math.floor(sec / 3600);
-    const minutes = Math.floor((sec % 3600) / 60);
-    const seconds = sec % 60;
-    const pad = (n) => (n < 10 ? "0" + n : n);
-    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
-  };
+  }, [config, pauses]);
 
   useEffect(() => {
     if (!rainAudioRef.current) {
@@ -469,24 +1357,144 @@ function SessionPage({ config, onEndSession, soundMuted, onToggleMute, userName,
             <button className="btn btn-secondary small" type="button" onClick={onToggleGazeDot}>
               {showGazeDot ? "Hide gaze dot" : "Show gaze dot"}
             </button>
+            <button className="btn btn-secondary small" type="button" onClick={onToggleMesh}>
+              {showMesh ? "Hide mesh" : "Show mesh"}
+            </button>
+            <button className="btn btn-secondary small" type="button" onClick={onRecalibrate}>
+              Recalibrate
+            </button>
+            <button className="btn btn-secondary small" type="button" onClick={() => setShowShortcuts(true)} title={`Shortcut: ${formatCombo(shortcuts.help)}`}>
+              Shortcuts
+            </button>
+            <button className="btn btn-secondary small" type="button" onClick={onTogglePause}>
+              {paused ? "Resume" : "Pause"}
+            </button>
             <button className="btn btn-outline-danger small" type="button" onClick={onEndSession}>
               End Session
             </button>
           </div>
         </div>
 
+        {showShortcuts && (
+          <ShortcutHelp bindings={shortcuts} onChange={onChangeShortcuts} onClose={() => setShowShortcuts(false)} />
+        )}
+
+        {drowsy && !drowsyDismissed && !paused && (
+          <div className="drowsy-banner">
+            <strong>You seem drowsy.</strong> Your eyes have been closing often. A short break, some water or fresh
+            air may help.
+            <div className="toggle-row">
+              <button className="btn btn-primary small" type="button" onClick={onTogglePause}>
+                Take a break
+              </button>
+              <button className="btn btn-secondary small" type="button" onClick={() => setDrowsyDismissed(true)}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
+        {tired && !fatigueDismissed && !paused && !(drowsy && !drowsyDismissed) && (
+          <div className="drowsy-banner">
+            <strong>Fatigue is building up ({metrics.fatigueScore}/100).</strong> Yawns, blinking and your posture
+            suggest it is time for a break.
+            <div className="toggle-row">
+              <button className="btn btn-primary small" type="button" onClick={onTogglePause}>
+                Take a break
+              </button>
+              <button className="btn btn-secondary small" type="button" onClick={() => setFatigueDismissed(true)}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
+        {paused && (
+          <div className="pause-banner">
+            <strong>Paused</strong> · Camera and focus tracking are off. Press Resume to continue.
+          </div>
+        )}
+
+        {timeUp && !overtimeAccepted && !config.autoEnd && (
+          <div className="time-up-banner">
+            <strong>Planned time reached.</strong> You studied {formatDuration(plannedSeconds)}.
+            <div className="toggle-row">
+              <input
+                className="text-input small-input"
+                type="number"
+                min="1"
+                aria-label="Minutes to extend by"
+                value={extendBy}
+                onChange={(e) => setExtendBy(e.target.value)}
+              />
+              <button
+                className="btn btn-secondary small"
+                type="button"
+                onClick={() => onExtend(Math.max(1, Math.round(Number(extendBy)) || 10))}
+              >
+                Extend
+              </button>
+              <button className="btn btn-secondary small" type="button" onClick={onKeepGoing}>
+                Keep going (overtime)
+              </button>
+              <button className="btn btn-outline-danger small" type="button" onClick={onEndSession}>
+                End session
+              </button>
+            </div>
+          </div>
+        )}
+
+        {away && (
+          <div className="pause-banner">
+            <strong>Away from desk</strong> · Session paused automatically. It resumes when you are back in front of the camera.
+          </div>
+        )}
+
+        {phase && (
+          <div className={"pomodoro-banner " + (isBreak(phase) ? "pomodoro-break" : "")}>
+            <strong>{PHASE_LABELS[phase.kind]}</strong> · Block {phase.cycle} · {formatClock(phase.end - elapsedSeconds)} left
+            {isBreak(phase) && <span className="muted-text"> · Tracking paused</span>}
+          </div>
+        )}
+
         <div className="session-layout">
           <aside className="session-sidebar">
             <p><strong>Subject:</strong> {config.subject}</p>
-            <p><strong>Goal:</strong> {config.goal}</p>
-            <p><strong>Planned duration:</strong> {config.durationMinutes} min</p>
-            <p><strong>Timer:</strong> {formatTime(elapsedSeconds)}</p>
+            {tasks?.length > 0 ? (
+              <div className="session-tasks">
+                <strong>Goal:</strong> {countDone(tasks)}/{tasks.length} done
+                <ul className="task-list">
+                  {tasks.map((t) => (
+                    <li key={t.id}>
+                      <label className={t.doneAt != null ? "task-done" : ""}>
+                        <input type="checkbox" checked={t.doneAt != null} onChange={() => onToggleTask(t.id)} /> {t.text}
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : (
+              <p><strong>Goal:</strong> {config.goal}</p>
+            )}
+            <p><strong>Mode:</strong> {modeLabel(config.sessionMode)}</p>
+            <p>
+              <strong>Planned duration:</strong> {config.durationMinutes} min
+              {extendedMinutes > 0 && ` + ${extendedMinutes} min`}
+            </p>
+            <p><strong>Timer:</strong> {formatClock(elapsedSeconds)}{paused && " (paused)"}{away && " (away)"}</p>
+            {overtimeSeconds > 0 && <p><strong>Overtime:</strong> {formatClock(overtimeSeconds)}</p>}
             <p><strong>Focus (live):</strong> {metrics?.focusPercent != null ? `${metrics.focusPercent}%` : "Collecting..."}</p>
             <p><strong>Distractions:</strong> {metrics?.distractions != null ? metrics.distractions : "Collecting..."}</p>
+            <p>
+              <strong>Alertness:</strong> {drowsy ? "Drowsy" : "Awake"}
+              {metrics?.drowsiness?.microsleeps > 0 && ` (${metrics.drowsiness.microsleeps} microsleeps)`}
+            </p>
+            <p><strong>Fatigue:</strong> {metrics?.fatigueScore != null ? `${metrics.fatigueScore}/100` : "Collecting..."}</p>
             <p><strong>Alert beeps:</strong> {config.wantsAlerts ? "On" : "Off"}</p>
             <p><strong>Background audio:</strong> {config.wantsBackgroundAudio ? "Yes" : "No"} ({soundMuted ? "Muted" : "On"})</p>
+            <NotesPanel startedAt={config.startedAt} notes={notes} onAddNote={onAddNote} onMark={onMark} markKey={formatCombo(shortcuts.mark)} />
           </aside>
-          <main className="session-main"><FaceMesh3D onStatsChange={onMetricsUpdate} alertEnabled={config.wantsAlerts} gazeBounds={config.gazeBounds} showGazeDot={showGazeDot} /></main>
+          <main className="session-main"><FaceMesh3D onStatsChange={onMetricsUpdate} onTimelineSample={onTimelineSample} onDistractionEvent={onDistractionEvent} onDrowsinessEvent={onDrowsinessEvent} alertEnabled={config.wantsAlerts} gazeBounds={config.gazeBounds} showGazeDot={showGazeDot} trackingPaused={isBreak(phase)} paused={paused} awayAfterSec={config.awaySeconds} onAwayChange={onAwayChange} resumeStats={resumeStats} distractionDelaySec={config.distractionDelaySec} showMesh={showMesh} poseBaseline={config.poseBaseline} sessionMode={config.sessionMode} /></main>
         </div>
       </div>
     </div>
@@ -495,125 +1503,98 @@ function SessionPage({ config, onEndSession, soundMuted, onToggleMute, userName,
 
 /* ---------- SURVEY PAGE ---------- */
 
-function SurveyPage({ lastSession, onSubmit }) {
-  const [answers, setAnswers] = useState({
-    focusLevel: "3",
-    distractionFeel: "3",
-    distractionSource: "",
-    meshEffect: "neutral",
-    meshLookFrequency: "rarely",
-    easeOfUse: "4",
-    unnecessaryFeatures: "",
-    comfortLevel: "3",
-    meshStress: "no",
-    meshAccuracy: "somewhat",
-    meshPreference: "keep",
-  });
-
-  const update = (k, v) => setAnswers(a => ({ ...a, [k]: v }));
+function SurveyQuestion({ question, value, error, onChange }) {
+  const id = `survey-${question.key}`;
   const sliderFill = (v) => {
-    const n = Math.min(5, Math.max(1, Number(v) || 1));
-    return `${((n - 1) / 4) * 100}%`;
+    const n = Math.min(question.max, Math.max(question.min, Number(v) || question.min));
+    return `${((n - question.min) / (question.max - question.min)) * 100}%`;
   };
 
+  let field;
+  if (question.type === "scale") {
+    field = (
+      <>
+        <label className="range-label" htmlFor={id}>
+          <span>{question.label} ({question.min}-{question.max})</span>
+          <span className="range-value">{value}</span>
+        </label>
+        <input
+          id={id}
+          type="range"
+          min={question.min}
+          max={question.max}
+          className="survey-range"
+          value={value}
+          onChange={e => onChange(e.target.value)}
+          style={{ "--slider-fill": sliderFill(value) }}
+        />
+      </>
+    );
+  } else if (question.type === "select") {
+    field = (
+      <>
+        <label htmlFor={id}>{question.label}</label>
+        <select id={id} value={value} onChange={e => onChange(e.target.value)}>
+          {!question.default && <option value="">Choose...</option>}
+          {question.options.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+      </>
+    );
+  } else {
+    field = (
+      <>
+        <label htmlFor={id}>{question.label}</label>
+        <textarea id={id} value={value} onChange={e => onChange(e.target.value)} />
+      </>
+    );
+  }
+
+  return (
+    <>
+      {field}
+      {error && <p className="form-error">{error}</p>}
+    </>
+  );
+}
+
+function SurveyPage({ lastSession, definition, onSubmit }) {
+  const [answers, setAnswers] = useState(() => initialAnswers(definition));
+  const [errors, setErrors] = useState({});
+
+  const update = (k, v) => setAnswers(a => ({ ...a, [k]: v }));
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit({ session: lastSession, ...answers });
+    const nextErrors = validateAnswers(definition, answers);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length) return;
+    onSubmit({
+      session: lastSession,
+      surveyId: definition.id,
+      surveyVersion: definition.version,
+      ...visibleAnswers(definition, answers),
+    });
   };
 
   return (
     <div className="app-root">
   <MovingBackground />
       <div className="session-card">
-        <h1 className="session-title">Session Survey</h1>
+        <h1 className="session-title">{definition.title}</h1>
         <form className="form-grid" onSubmit={handleSubmit}>
-          {/* Survey fields (same as before) */}
-          <label className="range-label">
-            <span>Focus level (1-5)</span>
-            <span className="range-value">{answers.focusLevel}</span>
-          </label>
-          <input
-            type="range"
-            min="1"
-            max="5"
-            className="survey-range"
-            value={answers.focusLevel}
-            onChange={e => update("focusLevel", e.target.value)}
-            style={{ "--slider-fill": sliderFill(answers.focusLevel) }}
-          />
-          <label className="range-label">
-            <span>Distraction level (1-5)</span>
-            <span className="range-value">{answers.distractionFeel}</span>
-          </label>
-          <input
-            type="range"
-            min="1"
-            max="5"
-            className="survey-range"
-            value={answers.distractionFeel}
-            onChange={e => update("distractionFeel", e.target.value)}
-            style={{ "--slider-fill": sliderFill(answers.distractionFeel) }}
-          />
-          <label>Distraction source</label>
-          <textarea value={answers.distractionSource} onChange={e => update("distractionSource", e.target.value)} />
-          <label>Face mesh effect</label>
-          <select value={answers.meshEffect} onChange={e => update("meshEffect", e.target.value)}>
-            <option value="more">More focused</option>
-            <option value="less">Less focused</option>
-            <option value="neutral">No difference</option>
-          </select>
-          <label>Looked at mesh</label>
-          <select value={answers.meshLookFrequency} onChange={e => update("meshLookFrequency", e.target.value)}>
-            <option value="rarely">Rarely</option>
-            <option value="sometimes">Sometimes</option>
-            <option value="often">Often</option>
-          </select>
-          <label className="range-label">
-            <span>Ease of use (1-5)</span>
-            <span className="range-value">{answers.easeOfUse}</span>
-          </label>
-          <input
-            type="range"
-            min="1"
-            max="5"
-            className="survey-range"
-            value={answers.easeOfUse}
-            onChange={e => update("easeOfUse", e.target.value)}
-            style={{ "--slider-fill": sliderFill(answers.easeOfUse) }}
-          />
-          <label>Unnecessary features</label>
-          <textarea value={answers.unnecessaryFeatures} onChange={e => update("unnecessaryFeatures", e.target.value)} />
-          <label className="range-label">
-            <span>Comfort level (1-5)</span>
-            <span className="range-value">{answers.comfortLevel}</span>
-          </label>
-          <input
-            type="range"
-            min="1"
-            max="5"
-            className="survey-range"
-            value={answers.comfortLevel}
-            onChange={e => update("comfortLevel", e.target.value)}
-            style={{ "--slider-fill": sliderFill(answers.comfortLevel) }}
-          />
-          <label>Mesh caused stress?</label>
-          <select value={answers.meshStress} onChange={e => update("meshStress", e.target.value)}>
-            <option value="no">No</option>
-            <option value="yes">Yes</option>
-          </select>
-          <label>Mesh accuracy</label>
-          <select value={answers.meshAccuracy} onChange={e => update("meshAccuracy", e.target.value)}>
-            <option value="very">Very accurate</option>
-            <option value="somewhat">Somewhat accurate</option>
-            <option value="not">Not accurate</option>
-          </select>
-          <label>Preferred mesh version</label>
-          <select value={answers.meshPreference} onChange={e => update("meshPreference", e.target.value)}>
-            <option value="keep">Keep as is</option>
-            <option value="smaller">Smaller</option>
-            <option value="optional">Make optional</option>
-            <option value="hidden">Hide entirely</option>
-          </select>
+          {definition.questions
+            .filter((q) => isVisible(q, answers))
+            .map((q) => (
+              <SurveyQuestion
+                key={q.key}
+                question={q}
+                value={answers[q.key] ?? ""}
+                error={errors[q.key]}
+                onChange={(v) => update(q.key, v)}
+              />
+            ))}
           <button className="btn btn-primary" type="submit">Submit survey</button>
         </form>
       </div>
@@ -623,67 +1604,59 @@ function SurveyPage({ lastSession, onSubmit }) {
 
 /* ---------- SURVEY RESULTS PAGE ---------- */
 
-function SurveyResultsPage({ results, onBack }) {
-  const exportToExcel = () => {
-    if (results.length === 0) return;
-    const data = results.map(r => ({
-      "Subject": r.session.subject,
-      "Session Time (min, SYSTEM)": r.session?.actualMinutes ?? "",
-      "Focus % (SYSTEM)": r.session?.focusPercent ?? "",
-      "Distractions (SYSTEM)": r.session?.distractions ?? "",
-      "Alert Beep Enabled (SYSTEM)": r.session?.wantsAlerts === false ? "No" : "Yes",
-      "Focus Level": r.focusLevel,
-      "Distraction Level": r.distractionFeel,
-      "Distraction Source": r.distractionSource,
-      "Mesh Effect": r.meshEffect,
-      "Looked at Mesh": r.meshLookFrequency,
-      "Ease of Use": r.easeOfUse,
-      "Unnecessary Features": r.unnecessaryFeatures,
-      "Comfort Level": r.comfortLevel,
-      "Mesh Stress": r.meshStress,
-      "Mesh Accuracy": r.meshAccuracy,
-      "Mesh Preference": r.meshPreference,
-    }));
-
-    const worksheet = XLSX.utils.json_to_sheet(data);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "SurveyResults");
-    const excelBuffer = XLSX.write(workbook, { bookType: "xlsx", type: "array" });
-    const blob = new Blob([excelBuffer], { type: "application/octet-stream" });
-    saveAs(blob, "survey_results.xlsx");
-  };
+function SurveyResultsPage({ profile, sessions, results, onImported, onBack }) {
+  const exportData = { profile, sessions, surveyResults: results };
+  const nothingToExport = sessions.length === 0 && results.length === 0;
+  const [csvTable, setCsvTable] = useState(TABLES[0].name);
 
    return (
     <div className="app-root">
   <MovingBackground />
       <div className="session-card">
         <h1 className="session-title">Survey Results</h1>
-        <button className="btn btn-primary" onClick={exportToExcel} style={{marginBottom:"1rem"}}>Export to Excel</button>
+        <p className="session-description">
+          Exports include every session, survey response, distraction event and timeline sample, joined by session ID.
+        </p>
+        <div className="export-actions">
+          <button className="btn btn-primary" onClick={() => exportWorkbook(exportData)} disabled={nothingToExport}>
+            Export to Excel
+          </button>
+          <select aria-label="CSV table" value={csvTable} onChange={(e) => setCsvTable(e.target.value)}>
+            {TABLES.map((t) => (
+              <option key={t.name} value={t.name}>{t.label}</option>
+            ))}
+          </select>
+          <button className="btn btn-secondary" onClick={() => exportCsv(exportData, csvTable)} disabled={nothingToExport}>
+            Export CSV
+          </button>
+          <button className="btn btn-secondary" onClick={() => exportJsonBundle(exportData)} disabled={nothingToExport}>
+            Export JSON
+          </button>
+        </div>
+        <ImportPanel profile={profile} sessions={sessions} surveyResults={results} onImported={onImported} />
 
         {results.length === 0 ? (
           <p>No survey responses yet.</p>
         ) : (
+          <>
+          <SurveyStats results={results} />
+          <h2 className="section-title">Individual responses</h2>
           <div className="survey-results-list">
             {results.map((r, i) => (
               <div key={i} className="survey-result-card">
                 <h2>Session: {r.session.subject}</h2>
 
                 <h3>Survey Responses</h3>
-                <p><strong>Focus level:</strong> {r.focusLevel}</p>
-                <p><strong>Distraction level:</strong> {r.distractionFeel}</p>
-                {r.distractionSource && <p><strong>Distraction source:</strong> {r.distractionSource}</p>}
-                <p><strong>Face mesh effect:</strong> {r.meshEffect}</p>
-                <p><strong>Looked at mesh:</strong> {r.meshLookFrequency}</p>
-                <p><strong>Ease of use:</strong> {r.easeOfUse}</p>
-                {r.unnecessaryFeatures && <p><strong>Unnecessary features:</strong> {r.unnecessaryFeatures}</p>}
-                <p><strong>Comfort level:</strong> {r.comfortLevel}</p>
-                <p><strong>Mesh caused stress:</strong> {r.meshStress}</p>
-                <p><strong>Mesh accuracy:</strong> {r.meshAccuracy}</p>
-                <p><strong>Preferred mesh version:</strong> {r.meshPreference}</p>
+                {getSurveyDefinition(r.surveyId, r.surveyVersion).questions
+                  .filter((q) => r[q.key] != null && r[q.key] !== "")
+                  .map((q) => (
+                    <p key={q.key}><strong>{q.label}:</strong> {formatAnswer(q, r[q.key])}</p>
+                  ))}
                 <hr/>
               </div>
             ))}
           </div>
+          </>
         )}
         <button className="btn btn-secondary" onClick={onBack} style={{marginTop:"1rem"}}>Back</button>
       </div>
@@ -695,7 +1668,8 @@ function SurveyResultsPage({ results, onBack }) {
 
 export default function App() {
   const [view, setView] = useState("login");
-  const [userName, setUserName] = useState("");
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfile, setActiveProfile] = useState(null);
   const [currentConfig, setCurrentConfig] = useState(null);
   const [pastSessions, setPastSessions] = useState([]);
   const [backgroundMuted, setBackgroundMuted] = useState(false);
@@ -704,10 +1678,116 @@ export default function App() {
   const [sessionMetrics, setSessionMetrics] = useState({ focusPercent: null, distractions: null });
   const [pendingConfig, setPendingConfig] = useState(null);
   const [showGazeDot, setShowGazeDot] = useState(false);
+  const [showMesh, setShowMesh] = useState(true);
+  const [loadingHistory, setLoadingHistory] = useState(true);
+  const [pauses, setPauses] = useState([]);
+  const [extendedMinutes, setExtendedMinutes] = useState(0);
+  const [overtimeAccepted, setOvertimeAccepted] = useState(false);
+  // the planned length (seconds, with extensions) whose end has been announced
+  const [timeUpNotifiedSec, setTimeUpNotifiedSec] = useState(null);
+  const [recovery, setRecovery] = useState(null);
+  const [sessionTasks, setSessionTasks] = useState([]);
+  const [sessionNotes, setSessionNotes] = useState([]);
+  const [resumeStats, setResumeStats] = useState(null);
+  const timelineRef = useRef([]);
+  const distractionEventsRef = useRef([]);
+  const drowsinessEventsRef = useRef([]);
+  const [drowsy, setDrowsy] = useState(false);
 
-  const handleLogin = (name) => { setUserName(name); setView("home"); };
+  const userName = activeProfile?.name ?? "";
+
+  // keep both the active profile and the picker list in sync after a profile write
+  const replaceProfile = (updated) => {
+    setActiveProfile(updated);
+    setProfiles(prev => prev.map(p => (p.id === updated.id ? updated : p)));
+  };
+
+  const reloadHistory = useCallback(async (profileId) => {
+    const { sessions, surveyResults: savedResults } = await loadHistory(profileId);
+    setPastSessions(sessions);
+    setSurveyResults(savedResults);
+  }, []);
+
+  const openProfile = useCallback(async (profile) => {
+    await reloadHistory(profile.id);
+    // a session that was running when the app closed is offered back first
+    const checkpoint = await loadCheckpoint(profile.id).catch(() => null);
+    setActiveProfile(profile);
+    setRecovery(checkpoint);
+    setView(checkpoint ? "recover" : "home");
+    await setActiveProfileId(profile.id);
+  }, [reloadHistory]);
+
+  // restore profiles (and reopen the last unlocked one) once on launch
+  useEffect(() => {
+    let cancelled = false;
+    loadProfiles()
+      .then(async ({ profiles: saved, activeProfileId }) => {
+        if (cancelled) return;
+        setProfiles(saved);
+        const active = saved.find(p => p.id === activeProfileId);
+        // a PIN-locked profile always asks for its PIN again after a reload
+        if (active && !isLocked(active)) await openProfile(active);
+      })
+      .catch((err) => console.warn("Failed to load saved history", err))
+      .finally(() => {
+        if (!cancelled) setLoadingHistory(false);
+      });
+    return () => { cancelled = true; };
+  }, [openProfile]);
+
+  const handleSelectProfile = async (profile, pin) => {
+    if (!(await verifyPin(profile, pin))) throw new Error("Incorrect PIN.");
+    await openProfile(profile);
+  };
+
+  const handleCreateProfile = async (details) => {
+    const profile = await createProfile(details, profiles);
+    setProfiles(prev => [...prev, profile]);
+    await openProfile(profile);
+  };
+
+  const handleSwitchProfile = () => {
+    setActiveProfile(null);
+    setPastSessions([]);
+    setSurveyResults([]);
+    setView("login");
+    setActiveProfileId(null).catch((err) => console.warn("Failed to clear active profile", err));
+  };
+
+  const handleSetPin = async (pin) => {
+    replaceProfile(await setProfilePin(activeProfile, pin));
+  };
+
+  const handleRemovePin = async (currentPin) => {
+    if (!(await verifyPin(activeProfile, currentPin))) throw new Error("Incorrect PIN.");
+    replaceProfile(await setProfilePin(activeProfile, ""));
+  };
+
+  const handleSaveTemplate = async (name, config) => {
+    replaceProfile(await saveTemplate(activeProfile, name, config));
+  };
+
+  const handleDeleteTemplate = (templateId) => {
+    deleteTemplate(activeProfile, templateId)
+      .then(replaceProfile)
+      .catch((err) => console.warn("Failed to delete template", err));
+  };
 
   const handlePreSessionStart = (config) => {
+    updateProfileSettings(activeProfile, {
+      wantsBackgroundAudio: config.wantsBackgroundAudio,
+      wantsAlerts: config.wantsAlerts,
+      awaySeconds: config.awaySeconds,
+      distractionDelaySec: config.distractionDelaySec,
+      fatigueBreakLevel: config.fatigueBreakLevel,
+      sessionMode: config.sessionMode,
+      autoEnd: config.autoEnd,
+      usePomodoro: Boolean(config.pomodoro),
+      ...(config.pomodoro && { pomodoroSettings: config.pomodoro }),
+    })
+      .then(replaceProfile)
+      .catch((err) => console.warn("Failed to save profile settings", err));
     setSessionMetrics({ focusPercent: null, distractions: null });
     setPendingConfig(config);
     setBackgroundMuted(!config.wantsBackgroundAudio);
@@ -715,70 +1795,355 @@ export default function App() {
     setView("calibrate");
   };
 
-  const handleCalibrationComplete = (bounds) => {
+  // recalibrating mid-session pauses it and leaves SessionPage, so FaceMesh3D
+  // later remounts from the totals so far, as after a checkpoint resume
+  const handleRecalibrate = () => {
+    if (!currentConfig) return;
+    const offset = secondsSince(currentConfig.startedAt, Date.now());
+    distractionEventsRef.current = closeEvents(distractionEventsRef.current, offset);
+    drowsinessEventsRef.current = closeEvents(drowsinessEventsRef.current, offset);
+    setDrowsy(false);
+    setPauses(prev => startPause(endPauses(prev, offset), offset, "recalibrate"));
+    setResumeStats(resumeStatsFrom(sessionMetrics, timelineRef.current, pauses));
+    setView("calibrate");
+  };
+
+  // a calibration without a detected head pose keeps the previous baseline
+  const savePoseBaseline = (poseBaseline) => {
+    if (!poseBaseline) return;
+    updateProfileSettings(activeProfile, { poseBaseline })
+      .then(replaceProfile)
+      .catch((err) => console.warn("Failed to save head pose baseline", err));
+  };
+
+  const finishRecalibration = (bounds, poseBaseline) => {
+    const offset = secondsSince(currentConfig.startedAt, Date.now());
+    setPauses(prev => endPauses(prev, offset));
+    if (bounds) {
+      savePoseBaseline(poseBaseline);
+      setCurrentConfig(prev => ({ ...prev, gazeBounds: bounds, poseBaseline: poseBaseline ?? prev.poseBaseline }));
+    }
+    setView("session");
+  };
+
+  const handleChangeShortcuts = (shortcuts) => {
+    updateProfileSettings(activeProfile, { shortcuts })
+      .then(replaceProfile)
+      .catch((err) => console.warn("Failed to save shortcuts", err));
+  };
+
+  const handleCalibrationComplete = (bounds, poseBaseline) => {
+    if (currentConfig && !pendingConfig) {
+      finishRecalibration(bounds, poseBaseline);
+      return;
+    }
     if (!pendingConfig) {
       setView("home");
       return;
     }
-    const sessionConfig = { ...pendingConfig, startedAt: new Date().toISOString(), gazeBounds: bounds };
+    savePoseBaseline(poseBaseline);
+    const startedAt = new Date();
+    const sessionConfig = {
+      ...pendingConfig,
+      startedAt: startedAt.toISOString(),
+      // calibration time comes out of neither the plan nor an "until" end time
+      durationMinutes: pendingConfig.endsAt
+        ? minutesUntil(pendingConfig.endsAt, startedAt)
+        : pendingConfig.durationMinutes,
+      gazeBounds: bounds,
+      poseBaseline: poseBaseline ?? getSettings(activeProfile).poseBaseline,
+    };
+    timelineRef.current = [];
+    distractionEventsRef.current = [];
+    drowsinessEventsRef.current = [];
+    setDrowsy(false);
+    setPauses([]);
+    setExtendedMinutes(0);
+    setOvertimeAccepted(false);
+    setTimeUpNotifiedSec(null);
+    setResumeStats(null);
+    setSessionTasks(sessionConfig.tasks || []);
+    setSessionNotes([]);
     setCurrentConfig(sessionConfig);
     setPendingConfig(null);
     setShowGazeDot(false);
     setView("session");
   };
 
-  const handleEndSession = () => {
+  // raw signals arrive once per second; t is seconds since the session started
+  const handleTimelineSample = useCallback((sample) => {
     if (!currentConfig) return;
-    const startMs = new Date(currentConfig.startedAt).getTime();
-    const endMs = Date.now();
-    const actualMinutes = Math.round((endMs - startMs) / 60000);
-    const completedSession = {
-      ...currentConfig,
-      endedAt: new Date(endMs).toISOString(),
-      actualMinutes,
-      focusPercent: sessionMetrics.focusPercent ?? 0,
-      distractions: sessionMetrics.distractions ?? 0,
-    };
+    const { at, ...signals } = sample;
+    timelineRef.current.push({ t: secondsSince(currentConfig.startedAt, at), ...signals });
+  }, [currentConfig]);
+
+  // FaceMesh3D reports "start" when a distraction is counted and "end" on refocus
+  const handleDistractionEvent = useCallback((event) => {
+    if (!currentConfig) return;
+    const events = distractionEventsRef.current;
+    const offset = secondsSince(currentConfig.startedAt, event.at);
+    if (event.type === "start") {
+      events.push({ start: offset, duration: null, cause: event.cause });
+      return;
+    }
+    const open = events[events.length - 1];
+    // "cancel" withdraws a no-face distraction that turned out to be an away interval
+    if (event.type === "cancel") {
+      if (open && open.duration == null) events.pop();
+      return;
+    }
+    if (open && open.duration == null) open.duration = Math.max(0, offset - open.start);
+  }, [currentConfig]);
+
+  // drowsy spells are logged like distractions; a microsleep or yawn arrives whole once it is over
+  const handleDrowsinessEvent = useCallback((event) => {
+    if (!currentConfig) return;
+    const events = drowsinessEventsRef.current;
+    const offset = secondsSince(currentConfig.startedAt, event.at);
+    if (event.type === "microsleep" || event.type === "yawn") {
+      events.push({ start: offset, duration: Math.round(event.durationMs / 100) / 10, kind: event.type });
+      return;
+    }
+    setDrowsy(event.type === "drowsyStart");
+    if (event.type === "drowsyStart") {
+      events.push({ start: offset, duration: null, kind: "drowsy" });
+      return;
+    }
+    const open = [...events].reverse().find((e) => e.kind === "drowsy" && e.duration == null);
+    if (open) open.duration = Math.max(0, offset - open.start);
+  }, [currentConfig]);
+
+  // FaceMesh3D reports away from when the face was lost, back when it returns
+  const handleAwayChange = useCallback(({ away, at }) => {
+    if (!currentConfig) return;
+    const offset = secondsSince(currentConfig.startedAt, at);
+    // the engine rolls the spell since the face was lost into away time; its samples go with it
+    if (away) timelineRef.current = timelineRef.current.filter((s) => s.t < offset);
+    setPauses(prev => {
+      if (away) return startPause(prev, offset, "away");
+      return isPaused(prev, "away") ? endPauses(prev, offset) : prev;
+    });
+  }, [currentConfig]);
+
+  // doneAt is seconds since the session started, like every other session event
+  const handleToggleTask = (id) => {
+    if (!currentConfig) return;
+    setSessionTasks(prev => toggleTask(prev, id, secondsSince(currentConfig.startedAt, Date.now())));
+  };
+
+  const handleAddNote = (text) => {
+    if (!currentConfig) return;
+    setSessionNotes(prev => [...prev, makeNote(secondsSince(currentConfig.startedAt, Date.now()), text)]);
+  };
+
+  const handleMark = () => {
+    if (!currentConfig) return;
+    setSessionNotes(prev => [...prev, makeMarker(secondsSince(currentConfig.startedAt, Date.now()))]);
+  };
+
+  const handleTogglePause = () => {
+    if (!currentConfig) return;
+    const offset = secondsSince(currentConfig.startedAt, Date.now());
+    setPauses(prev => {
+      if (isPaused(prev, "manual")) return endPauses(prev, offset);
+      // pausing while away closes the away interval and starts a manual one
+      return startPause(endPauses(prev, offset), offset);
+    });
+  };
+
+  // the live session state that a checkpoint captures and a completed record is built from
+  const captureSession = () => ({
+    config: currentConfig,
+    metrics: sessionMetrics,
+    pauses,
+    extendedMinutes,
+    overtimeAccepted,
+    timeUpNotifiedSec,
+    tasks: sessionTasks,
+    notes: sessionNotes,
+    timeline: timelineRef.current,
+    distractionEvents: distractionEventsRef.current,
+    drowsinessEvents: drowsinessEventsRef.current,
+  });
+
+  const completeSession = (completedSession) => {
     setPastSessions(prev => [...prev, completedSession]);
+    saveSession(completedSession).catch((err) => console.warn("Failed to save session", err));
+    clearCheckpoint(completedSession.profileId).catch((err) => console.warn("Failed to clear checkpoint", err));
     setLastCompleted(completedSession);
     setCurrentConfig(null);
+    setResumeStats(null);
+    setDrowsy(false);
     setView("survey");
   };
 
-  const handleSurveySubmit = (response) => {
+  const handleEndSession = () => {
+    if (!currentConfig) return;
+    completeSession(buildCompletedSession(captureSession(), activeProfile?.id ?? null, Date.now()));
+  };
+
+  // keep the latest live state in a ref so the checkpoint timer does not restart on every change
+  const liveSessionRef = useRef(null);
+  useEffect(() => {
+    liveSessionRef.current = view === "session" && currentConfig ? captureSession() : null;
+  });
+
+  useEffect(() => {
+    const profileId = activeProfile?.id;
+    if (view !== "session" || !currentConfig || !profileId) return;
+    const write = () => {
+      const live = liveSessionRef.current;
+      if (!live) return;
+      const wallSec = secondsSince(live.config.startedAt, Date.now());
+      saveCheckpoint(profileId, { ...live, elapsedSeconds: activeSeconds(live.pauses, wallSec) })
+        .catch((err) => console.warn("Failed to checkpoint session", err));
+    };
+    write();
+    const id = setInterval(write, CHECKPOINT_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [view, currentConfig, activeProfile?.id]);
+
+  const handleResumeCheckpoint = () => {
+    const cp = recovery;
+    const savedOffset = secondsSince(cp.config.startedAt, new Date(cp.savedAt).getTime());
+    const nowOffset = secondsSince(cp.config.startedAt, Date.now());
+    // the time the app was closed counts as a pause, and nothing stays open across it
+    const closed = endPauses(cp.pauses, savedOffset);
+    timelineRef.current = cp.timeline || [];
+    distractionEventsRef.current = closeEvents(cp.distractionEvents, savedOffset);
+    drowsinessEventsRef.current = closeEvents(cp.drowsinessEvents, savedOffset);
+    setDrowsy(false);
+    setPauses(endPauses(startPause(closed, savedOffset, "interrupted"), nowOffset));
+    setExtendedMinutes(cp.extendedMinutes || 0);
+    setSessionTasks(cp.tasks || cp.config.tasks || []);
+    setSessionNotes(cp.notes || []);
+    setOvertimeAccepted(Boolean(cp.overtimeAccepted));
+    setTimeUpNotifiedSec(cp.timeUpNotifiedSec ?? null);
+    const metrics = cp.metrics || { focusPercent: null, distractions: null };
+    setSessionMetrics(metrics);
+    setResumeStats(resumeStatsFrom(metrics, timelineRef.current, closed));
+    setBackgroundMuted(!cp.config.wantsBackgroundAudio);
+    setShowGazeDot(false);
+    setCurrentConfig(cp.config);
+    setRecovery(null);
+    setView("session");
+  };
+
+  const handleSaveCheckpoint = () => {
+    const cp = recovery;
+    setRecovery(null);
+    completeSession(buildCompletedSession(cp, activeProfile?.id ?? null, new Date(cp.savedAt).getTime()));
+  };
+
+  const handleDiscardCheckpoint = () => {
+    clearCheckpoint(activeProfile.id).catch((err) => console.warn("Failed to clear checkpoint", err));
+    setRecovery(null);
+    setView("home");
+  };
+
+  const handleSurveySubmit = (answers) => {
+    const response = {
+      ...answers,
+      id: makeId(),
+      sessionId: answers.session?.id ?? null,
+      profileId: activeProfile?.id ?? null,
+      submittedAt: new Date().toISOString(),
+    };
     setSurveyResults(prev => [...prev, response]);
+    saveSurveyResult(response).catch((err) => console.warn("Failed to save survey result", err));
     setView("home");
   };
 
   /* ---------- VIEW ROUTING ---------- */
+  if (loadingHistory) {
+    return (
+      <div className="app-root">
+        <MovingBackground />
+        <div className="session-card auth-card">
+          <p className="muted-text">Loading your study history...</p>
+        </div>
+      </div>
+    );
+  }
+
   switch (view) {
-    case "login": return <LoginPage onLogin={handleLogin} />;
+    case "login": return <LoginPage
+      profiles={profiles}
+      onSelectProfile={handleSelectProfile}
+      onCreateProfile={handleCreateProfile}
+    />;
+    case "recover": return <RecoverSessionPage
+      checkpoint={recovery}
+      onResume={handleResumeCheckpoint}
+      onSaveCompleted={handleSaveCheckpoint}
+      onDiscard={handleDiscardCheckpoint}
+    />;
     case "home": return <HomePage
-      userName={userName}
+      profile={activeProfile}
+      onQuickStart={(template) => handlePreSessionStart(configFromTemplate(template, getSettings(activeProfile)))}
       onStartSessionClick={() => setView("pre")}
       onProfileClick={() => setView("profile")}
       onSurveyResultsClick={() => setView("surveyResults")}
+      onSwitchProfile={handleSwitchProfile}
+      onSetPin={handleSetPin}
+      onRemovePin={handleRemovePin}
     />;
     case "calibrate": return <GazeCalibrationPage
-      config={pendingConfig}
-      onCancel={() => { setPendingConfig(null); setView("home"); }}
+      config={pendingConfig || currentConfig}
+      onCancel={() => {
+        if (currentConfig && !pendingConfig) return finishRecalibration(null);
+        setPendingConfig(null);
+        setView("home");
+      }}
       onComplete={handleCalibrationComplete}
     />;
-    case "pre": return <PreSessionForm onBack={() => setView("home")} onStart={handlePreSessionStart} />;
+    case "pre": return <PreSessionForm
+      settings={getSettings(activeProfile)}
+      templates={listTemplates(activeProfile)}
+      subjects={listSubjects([...pastSessions, ...listTemplates(activeProfile)])}
+      onSaveTemplate={handleSaveTemplate}
+      onDeleteTemplate={handleDeleteTemplate}
+      onBack={() => setView("home")}
+      onStart={handlePreSessionStart}
+    />;
     case "session": return <SessionPage
       config={currentConfig}
+      tasks={sessionTasks}
+      onToggleTask={handleToggleTask}
+      notes={sessionNotes}
+      onAddNote={handleAddNote}
+      onMark={handleMark}
+      pauses={pauses}
+      onTogglePause={handleTogglePause}
+      onAwayChange={handleAwayChange}
+      resumeStats={resumeStats}
+      extendedMinutes={extendedMinutes}
+      overtimeAccepted={overtimeAccepted}
+      timeUpNotifiedSec={timeUpNotifiedSec}
+      onTimeUpNotified={setTimeUpNotifiedSec}
+      onExtend={(minutes) => setExtendedMinutes(m => m + minutes)}
+      onKeepGoing={() => setOvertimeAccepted(true)}
       userName={userName}
       soundMuted={backgroundMuted}
       onToggleMute={() => setBackgroundMuted(v => !v)}
       onMetricsUpdate={setSessionMetrics}
+      onTimelineSample={handleTimelineSample}
+      onDistractionEvent={handleDistractionEvent}
+      onDrowsinessEvent={handleDrowsinessEvent}
+      drowsy={drowsy}
       metrics={sessionMetrics}
       showGazeDot={showGazeDot}
       onToggleGazeDot={() => setShowGazeDot(v => !v)}
+      showMesh={showMesh}
+      onToggleMesh={() => setShowMesh(v => !v)}
+      onRecalibrate={handleRecalibrate}
+      shortcuts={getBindings(getSettings(activeProfile).shortcuts)}
+      onChangeShortcuts={handleChangeShortcuts}
       onEndSession={handleEndSession}
     />;
     case "profile": return <ProfilePage userName={userName} sessions={pastSessions} onBack={() => setView("home")} />;
-    case "survey": return <SurveyPage lastSession={lastCompleted} onSubmit={handleSurveySubmit} />;
-    case "surveyResults": return <SurveyResultsPage results={surveyResults} onBack={() => setView("home")} />;
+    case "survey": return <SurveyPage lastSession={lastCompleted} definition={CURRENT_SURVEY} onSubmit={handleSurveySubmit} />;
+    case "surveyResults": return <SurveyResultsPage profile={activeProfile} sessions={pastSessions} results={surveyResults} onImported={() => reloadHistory(activeProfile.id)} onBack={() => setView("home")} />;
     default: return null;
   }
 }
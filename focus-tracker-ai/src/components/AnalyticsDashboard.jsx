@@ -0,0 +1,171 @@
+import React, { useMemo, useState } from "react";
+import { BarChart, LineChart } from "./Charts.jsx";
+import {
+  alertsComparison,
+  averageGoalCompletion,
+  filterSessions,
+  focusOverTime,
+  listSubjects,
+  minutesByPeriod,
+  plannedVsActual,
+  subjectBreakdown,
+} from "../lib/analytics.js";
+
+const COLORS = {
+  primary: "#0ea5e9",
+  secondary: "#6366f1",
+  muted: "#94a3b8",
+};
+
+const shortDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+// "2025-03-07" keys are local days; parse them as local midnight, not UTC
+const keyToDate = (key) => new Date(key + "T00:00:00");
+
+const percent = (v) => `${v}%`;
+
+export default function AnalyticsDashboard({ sessions }) {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [subject, setSubject] = useState("");
+  const [period, setPeriod] = useState("day");
+
+  const subjects = useMemo(() => listSubjects(sessions), [sessions]);
+  const filtered = useMemo(
+    () => filterSessions(sessions, { from, to, subject }),
+    [sessions, from, to, subject]
+  );
+
+  const focusPoints = useMemo(() => focusOverTime(filtered), [filtered]);
+  const minutes = useMemo(() => minutesByPeriod(filtered, period), [filtered, period]);
+  const bySubject = useMemo(() => subjectBreakdown(filtered), [filtered]);
+  const plan = useMemo(() => plannedVsActual(filtered), [filtered]);
+  const alerts = useMemo(() => alertsComparison(filtered), [filtered]);
+  const goalRate = useMemo(() => averageGoalCompletion(filtered), [filtered]);
+
+  const totalMinutes = minutes.reduce((sum, b) => sum + b.minutes, 0);
+
+  return (
+    <div className="analytics">
+      <div className="analytics-filters">
+        <div className="form-field">
+          <label htmlFor="analytics-from">From</label>
+          <input id="analytics-from" className="text-input" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div className="form-field">
+          <label htmlFor="analytics-to">To</label>
+          <input id="analytics-to" className="text-input" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </div>
+        <div className="form-field">
+          <label htmlFor="analytics-subject">Subject</label>
+          <select id="analytics-subject" className="text-input" value={subject} onChange={(e) => setSubject(e.target.value)}>
+            <option value="">All subjects</option>
+            {subjects.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+        </div>
+        {(from || to || subject) && (
+          <button type="button" className="btn btn-secondary small" onClick={() => { setFrom(""); setTo(""); setSubject(""); }}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {filtered.length === 0 ? (
+        <p className="muted-text">No sessions match these filters.</p>
+      ) : (
+        <>
+          <div className="analytics-stats">
+            <div><strong>{filtered.length}</strong><span>sessions</span></div>
+            <div><strong>{totalMinutes}</strong><span>minutes studied</span></div>
+            <div><strong>{plan.completion != null ? `${plan.completion}%` : "–"}</strong><span>of planned time</span></div>
+            <div><strong>{goalRate != null ? `${goalRate}%` : "–"}</strong><span>of goal tasks done</span></div>
+          </div>
+
+          <section className="analytics-panel">
+            <h3>Focus % over time</h3>
+            <LineChart points={focusPoints} yMax={100} formatY={percent} formatX={shortDate} />
+          </section>
+
+          <section className="analytics-panel">
+            <div className="analytics-panel-header">
+              <h3>Study minutes per {period}</h3>
+              <div className="toggle-row">
+                <button type="button" className={"chip " + (period === "day" ? "chip-active" : "")} onClick={() => setPeriod("day")}>
+                  Day
+                </button>
+                <button type="button" className={"chip " + (period === "week" ? "chip-active" : "")} onClick={() => setPeriod("week")}>
+                  Week
+                </button>
+              </div>
+            </div>
+            <BarChart
+              data={minutes.map((b) => ({
+                label: shortDate(keyToDate(b.key)),
+                title: period === "week" ? `Week of ${shortDate(keyToDate(b.key))}` : shortDate(keyToDate(b.key)),
+                values: [b.minutes],
+              }))}
+              series={[{ name: "Minutes", color: COLORS.primary }]}
+            />
+          </section>
+
+          <section className="analytics-panel">
+            <h3>By subject</h3>
+            <table className="analytics-table">
+              <thead>
+                <tr><th>Subject</th><th>Sessions</th><th>Minutes</th><th>Avg focus</th></tr>
+              </thead>
+              <tbody>
+                {bySubject.map((row) => (
+                  <tr key={row.subject}>
+                    <td>{row.subject}</td>
+                    <td>{row.sessions}</td>
+                    <td>{row.minutes}</td>
+                    <td>{row.avgFocus != null ? `${row.avgFocus}%` : "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section className="analytics-panel">
+            <h3>Planned vs actual minutes</h3>
+            <BarChart
+              data={plan.rows.map((r) => ({
+                label: shortDate(r.startedAt),
+                title: r.label,
+                values: [r.planned, r.actual],
+              }))}
+              series={[
+                { name: "Planned", color: COLORS.muted },
+                { name: "Actual", color: COLORS.primary },
+              ]}
+            />
+            <p className="muted-text">
+              Planned {plan.planned} min in total, studied {plan.actual} min.
+            </p>
+          </section>
+
+          <section className="analytics-panel">
+            <h3>Alerts on vs off</h3>
+            <BarChart
+              data={[
+                { label: `Alerts on (${alerts.on.count})`, values: [alerts.on.avgFocus ?? 0] },
+                { label: `Alerts off (${alerts.off.count})`, values: [alerts.off.avgFocus ?? 0] },
+              ]}
+              series={[{ name: "Average focus", color: COLORS.secondary }]}
+              yMax={100}
+              formatY={percent}
+            />
+            <p className="muted-text">
+              Average distractions: {alerts.on.avgDistractions ?? "–"} with alerts,{" "}
+              {alerts.off.avgDistractions ?? "–"} without.
+            </p>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React from "react";
+
+// Minimal SVG charts. Everything is drawn from stored data in the browser;
+// no chart library and no network.
+
+const WIDTH = 600;
+const PAD = { top: 12, right: 12, bottom: 28, left: 36 };
+
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const steps = [1, 2, 2.5, 5, 10];
+  for (const s of steps) {
+    if (value <= s * magnitude) return s * magnitude;
+  }
+  return 10 * magnitude;
+};
+
+function YAxis({ max, height, format = (v) => v }) {
+  const ticks = [0, max / 2, max];
+  const innerH = height - PAD.top - PAD.bottom;
+  return (
+    <g className="chart-axis">
+      {ticks.map((t) => {
+        const y = PAD.top + innerH - (t / max) * innerH;
+        return (
+          <g key={t}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y} y2={y} className="chart-grid" />
+            <text x={PAD.left - 6} y={y + 4} textAnchor="end">
+              {format(Math.round(t * 10) / 10)}
+            </text>
+          </g>
+        );
+      })}
+    </g>
+  );
+}
+
+// Show at most ~8 x labels so long ranges stay readable.
+const labelEvery = (count) => Math.max(1, Math.ceil(count / 8));
+
+export function LineChart({ points, yMax, height = 200, formatY, formatX }) {
+  if (!points.length) return <p className="muted-text">Not enough data yet.</p>;
+  const max = yMax ?? niceMax(Math.max(...points.map((p) => p.y)));
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = height - PAD.top - PAD.bottom;
+  const xs = points.map((p) => p.x);
+  const minX = Math.min(...xs);
+  const spanX = Math.max(1, Math.max(...xs) - minX);
+  const px = (x) => (points.length === 1 ? PAD.left + innerW / 2 : PAD.left + ((x - minX) / spanX) * innerW);
+  const py = (y) => PAD.top + innerH - (y / max) * innerH;
+  const every = labelEvery(points.length);
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${height}`} role="img">
+      <YAxis max={max} height={height} format={formatY} />
+      <polyline
+        className="chart-line"
+        points={points.map((p) => `${px(p.x)},${py(p.y)}`).join(" ")}
+      />
+      {points.map((p, i) => (
+        <g key={i}>
+          <circle className="chart-dot" cx={px(p.x)} cy={py(p.y)} r={4}>
+            <title>{`${p.label}: ${formatY ? formatY(p.y) : p.y}`}</title>
+          </circle>
+          {i % every === 0 && formatX && (
+            <text className="chart-axis" x={px(p.x)} y={height - 8} textAnchor="middle">
+              {formatX(p.x)}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// data: [{ label, title?, values: [number, ...] }], series: [{ name, color }]
+export function BarChart({ data, series, height = 200, formatY, yMax }) {
+  if (!data.length) return <p className="muted-text">Not enough data yet.</p>;
+  const max = yMax ?? niceMax(Math.max(...data.flatMap((d) => d.values)));
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = height - PAD.top - PAD.bottom;
+  const groupW = innerW / data.length;
+  const barW = Math.max(1, (groupW * 0.8) / series.length);
+  const every = labelEvery(data.length);
+
+  return (
+    <div>
+      <svg className="chart" viewBox={`0 0 ${WIDTH} ${height}`} role="img">
+        <YAxis max={max} height={height} format={formatY} />
+        {data.map((d, i) => {
+          const gx = PAD.left + i * groupW + groupW * 0.1;
+          return (
+            <g key={i}>
+              {d.values.map((v, j) => {
+                const h = (Math.max(0, v) / max) * innerH;
+                return (
+                  <rect
+                    key={j}
+                    x={gx + j * barW}
+                    y={PAD.top + innerH - h}
+                    width={barW}
+                    height={h}
+                    fill={series[j].color}
+                  >
+                    <title>{`${d.title || d.label} · ${series[j].name}: ${formatY ? formatY(v) : v}`}</title>
+                  </rect>
+                );
+              })}
+              {i % every === 0 && (
+                <text className="chart-axis" x={gx + (barW * series.length) / 2} y={height - 8} textAnchor="middle">
+                  {d.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {series.length > 1 && (
+        <div className="chart-legend">
+          {series.map((s) => (
+            <span key={s.name}>
+              <i style={{ background: s.color }} /> {s.name}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// points: [{ x, y, label }]; fit: optional { slope, intercept } drawn as a line
+export function ScatterPlot({ points, xDomain, yDomain, fit, height = 240, xLabel, yLabel }) {
+  if (!points.length) return <p className="muted-text">Not enough data yet.</p>;
+  const [x0, x1] = xDomain;
+  const [y0, y1] = yDomain;
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = height - PAD.top - PAD.bottom - 12;
+  const px = (x) => PAD.left + ((x - x0) / (x1 - x0)) * innerW;
+  const py = (y) => PAD.top + innerH - ((y - y0) / (y1 - y0)) * innerH;
+  const yTicks = [];
+  for (let y = y0; y <= y1; y++) yTicks.push(y);
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${height}`} role="img">
+      <g className="chart-axis">
+        {yTicks.map((y) => (
+          <g key={y}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={py(y)} y2={py(y)} className="chart-grid" />
+            <text x={PAD.left - 6} y={py(y) + 4} textAnchor="end">{y}</text>
+          </g>
+        ))}
+        {[x0, (x0 + x1) / 2, x1].map((x) => (
+          <text key={x} x={px(x)} y={PAD.top + innerH + 16} textAnchor="middle">{x}</text>
+        ))}
+        {xLabel && <text x={PAD.left + innerW / 2} y={height - 4} textAnchor="middle">{xLabel}</text>}
+        {yLabel && (
+          <text x={10} y={PAD.top + innerH / 2} textAnchor="middle" transform={`rotate(-90 10 ${PAD.top + innerH / 2})`}>
+            {yLabel}
+          </text>
+        )}
+      </g>
+      {fit && (
+        <line
+          className="chart-trend"
+          x1={px(x0)}
+          y1={py(fit.slope * x0 + fit.intercept)}
+          x2={px(x1)}
+          y2={py(fit.slope * x1 + fit.intercept)}
+        />
+      )}
+      {points.map((p, i) => (
+        <circle key={i} className="chart-dot" cx={px(p.x)} cy={py(p.y)} r={5}>
+          <title>{`${p.label}: ${p.x}% measured, ${p.y} reported`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
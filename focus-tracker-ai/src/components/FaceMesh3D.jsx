@@ -1,10 +1,46 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import * as tf from "@tensorflow/tfjs";
 import "@tensorflow/tfjs-backend-webgl";
 import * as faceLandmarksDetection from "@tensorflow-models/face-landmarks-detection";
 import * as THREE from "three";
-
-export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBounds, showGazeDot }) {
+import { DEFAULT_FOCUS_THRESHOLDS, createFocusEngine } from "../lib/focusEngine.js";
+import { formatAngle, poseThresholds } from "../lib/headPose.js";
+import { modeThresholds } from "../lib/sessionModes.js";
+import { playCue } from "../lib/sounds.js";
+
+// how often raw focus signals are sampled into the session timeline
+const TIMELINE_INTERVAL_MS = 1000;
+// the head-pose readout changes every frame; refresh it at most this often
+const POSE_DISPLAY_MS = 250;
+
+const roundAngle = (deg) => (deg == null ? null : Math.round(deg * 10) / 10);
+// the drowsiness cue repeats this often while drowsy
+const DROWSY_CUE_MS = 5000;
+
+const engineThresholds = (distractionDelaySec, awayAfterSec, poseBaseline, sessionMode) => ({
+  ...poseThresholds(poseBaseline),
+  ...modeThresholds(sessionMode),
+  distractionDelayMs: (distractionDelaySec ?? 2) * 1000,
+  awayAfterMs: awayAfterSec ? awayAfterSec * 1000 : null,
+});
+
+export default function FaceMesh3D({ onStatsChange, onTimelineSample, onDistractionEvent, alertEnabled = true, gazeBounds, showGazeDot, trackingPaused = false, paused = false, awayAfterSec = null, onAwayChange, resumeStats = null, distractionDelaySec = 2, showMesh = true, poseBaseline = null, onDrowsinessEvent, sessionMode = "screen" }) {
+  // paused stops the camera, WebGazer and focus tracking; trackingPaused (breaks)
+  // and away (no face for awayAfterSec) only stop the focus accounting and keep
+  // the mesh running, so a returning face can be seen. The classification and
+  // accounting live in the focus engine; React state mirrors its snapshot.
+  // resumeStats carries the totals of a session recovered from a checkpoint
+  const [engine] = useState(() =>
+    createFocusEngine({
+      thresholds: engineThresholds(distractionDelaySec, awayAfterSec, poseBaseline, sessionMode),
+      gazeBounds,
+      // estimateFaces runs with flipHorizontal, so the pose must be read from a mirrored mesh
+      mirrored: true,
+      resume: resumeStats,
+    })
+  );
+  const [away, setAway] = useState(false);
+  const trackingOff = trackingPaused || paused || away;
   const containerRef = useRef(null);
   const videoRef = useRef(null);
 
@@ -17,12 +53,16 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
   const modelRef = useRef(null);
   const apiRef = useRef("none");
   const rafRef = useRef(0);
+  // the render loop checks pausedRef every frame and idles while paused
+  const pausedRef = useRef(paused);
+  // read by setupThree, which can run after the prop last changed
+  const showMeshRef = useRef(showMesh);
+  const loopRef = useRef(null);
+  const loopIdleRef = useRef(false);
 
   const [status, setStatus] = useState("Initializing...");
   const [facesCount, setFacesCount] = useState(0);
   const [fps, setFps] = useState(0);
-  const [offScreen, setOffScreen] = useState(false);
-  const [gazeXY, setGazeXY] = useState(null);
 
   const webgazerRef = useRef(null);
   const [showGazeDotState, setShowGazeDotState] = useState(false);
@@ -46,20 +86,58 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
 
   // ---------- focus AI state ----------
   const [isFocused, setIsFocused] = useState(true);
-  const [focusPercent, setFocusPercent] = useState(100);
-  const [distractions, setDistractions] = useState(0);
-
-  const focusStatsRef = useRef({
-    lastUpdate:
-      typeof performance !== "undefined" ? performance.now() : Date.now(),
-    focusedMs: 0,
-    totalMs: 0,
-    lastFocusedFlag: true,
-    unfocusedSince: null,
-  });
-
+  const [focusPercent, setFocusPercent] = useState(() => engine.snapshot().stats.focusPercent);
+  const [distractions, setDistractions] = useState(() => engine.snapshot().stats.distractions);
   const [headTurned, setHeadTurned] = useState(false); // yaw (left/right)
-  const [eyesOffScreen, setEyesOffScreen] = useState(false); // pitch (up/down)
+  const [pose, setPose] = useState(null); // { yaw, pitch, roll } in degrees
+  const [posture, setPosture] = useState("screen"); // "screen", "desk" or "frozen" (desk modes)
+  const [drowsy, setDrowsy] = useState(false);
+  const [eyes, setEyes] = useState(null); // { ear, blinkRate, perclos } for the overlay
+  const [drowsinessTotals, setDrowsinessTotals] = useState(() => engine.snapshot().drowsiness.totals);
+  const [fatigue, setFatigue] = useState(() => engine.snapshot().fatigue); // refreshed by the per-second tick
+  const poseShownAtRef = useRef(0);
+
+  // latest callbacks in refs so engine updates from the render loop always reach the current ones
+  const onDistractionEventRef = useRef(onDistractionEvent);
+  useEffect(() => {
+    onDistractionEventRef.current = onDistractionEvent;
+  }, [onDistractionEvent]);
+  const onAwayChangeRef = useRef(onAwayChange);
+  useEffect(() => {
+    onAwayChangeRef.current = onAwayChange;
+  }, [onAwayChange]);
+  const onDrowsinessEventRef = useRef(onDrowsinessEvent);
+  useEffect(() => {
+    onDrowsinessEventRef.current = onDrowsinessEvent;
+  }, [onDrowsinessEvent]);
+
+  // relays engine events and mirrors its snapshot into state (unchanged values do not re-render)
+  const applyEngine = useCallback((events) => {
+    for (const event of events) {
+      if (event.type === "away" || event.type === "back") {
+        onAwayChangeRef.current?.({ away: event.type === "away", at: event.at });
+      } else if (["drowsyStart", "drowsyEnd", "microsleep", "yawn"].includes(event.type)) {
+        onDrowsinessEventRef.current?.(event);
+      } else {
+        onDistractionEventRef.current?.(event);
+      }
+    }
+    const { focused, away: isAway, signals, stats, drowsiness } = engine.snapshot();
+    setIsFocused(focused);
+    setAway(isAway);
+    setDrowsy(drowsiness.drowsy);
+    setFacesCount(signals.facesCount);
+    setHeadTurned(signals.headTurned);
+    setPosture(signals.frozen ? "frozen" : signals.atDesk ? "desk" : "screen");
+    const now = Date.now();
+    if (now - poseShownAtRef.current >= POSE_DISPLAY_MS) {
+      poseShownAtRef.current = now;
+      setPose(signals.pose);
+      setEyes({ ear: drowsiness.ear, blinkRate: drowsiness.blinkRate, perclos: drowsiness.perclos });
+    }
+    setFocusPercent(stats.focusPercent);
+    setDistractions(stats.distractions);
+  }, [engine]);
 
   // ---------- audio for continuous beep ----------
   const audioCtxRef = useRef(null);
@@ -101,7 +179,7 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
   // start / stop continuous beeps based on focus/face
   useEffect(() => {
     // "Alert" state: either not focused OR no face visible (and alerts enabled)
-    const shouldAlert = alertEnabled && (!isFocused || facesCount === 0);
+    const shouldAlert = alertEnabled && !trackingOff && (!isFocused || facesCount === 0);
 
     if (shouldAlert) {
       if (!beepIntervalRef.current) {
@@ -123,7 +201,15 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
         beepIntervalRef.current = null;
       }
     };
-  }, [isFocused, facesCount, alertEnabled]);
+  }, [isFocused, facesCount, alertEnabled, trackingOff]);
+
+  // drowsiness has its own, lower cue, repeated while it lasts
+  useEffect(() => {
+    if (!drowsy || !alertEnabled || trackingOff) return;
+    playCue("drowsy");
+    const id = setInterval(() => playCue("drowsy"), DROWSY_CUE_MS);
+    return () => clearInterval(id);
+  }, [drowsy, alertEnabled, trackingOff]);
 
   // clean up audio context on unmount
   useEffect(() => {
@@ -140,46 +226,6 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
   const LINES_UPDATE_EVERY_N_FRAMES = 2;
   const DEPTH_SCALE = 50;
 
-  // --- helper: approximate head yaw from landmarks ---
-  const estimateHeadYaw = (pts) => {
-    if (!pts || pts.length < 10) return 0.5;
-
-    let minX = Infinity;
-    let maxX = -Infinity;
-    for (const [x] of pts) {
-      if (x < minX) minX = x;
-      if (x > maxX) maxX = x;
-    }
-    const width = Math.max(1, maxX - minX);
-
-    const noseIdx = 1;
-    const noseX = pts[noseIdx]?.[0] ?? (minX + maxX) / 2;
-
-    return (noseX - minX) / width; // 0..1
-  };
-
-  // --- helper: approximate head pitch (up/down) from eye height ---
-  const estimateEyeHeight = (pts) => {
-    if (!pts || pts.length < 400) return 0.5;
-
-    const LEFT_EYE_OUTER = 33;
-    const RIGHT_EYE_OUTER = 263;
-
-    let minY = Infinity;
-    let maxY = -Infinity;
-    for (const [, y] of pts) {
-      if (y < minY) minY = y;
-      if (y > maxY) maxY = y;
-    }
-    const height = Math.max(1, maxY - minY);
-
-    const leftY = pts[LEFT_EYE_OUTER]?.[1] ?? (minY + maxY) / 2;
-    const rightY = pts[RIGHT_EYE_OUTER]?.[1] ?? (minY + maxY) / 2;
-    const eyesY = (leftY + rightY) / 2;
-
-    return (eyesY - minY) / height; // 0..1
-  };
-
   // ------------- main effect: camera + facemesh + three.js -------------
   useEffect(() => {
     let isMounted = true;
@@ -243,6 +289,7 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
         setupThree();
         setStatus("Running...");
 
+        loopRef.current = loop;
         loop();
         window.addEventListener("resize", handleResize);
         handleResize();
@@ -273,6 +320,7 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
       renderer.domElement.style.width = "100%";
       renderer.domElement.style.height = "100%";
       renderer.domElement.style.zIndex = "1";
+      renderer.domElement.style.visibility = showMeshRef.current ? "visible" : "hidden";
       rendererRef.current = renderer;
 
       const scene = new THREE.Scene();
@@ -402,23 +450,18 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
     let lineFrameCounter = 0;
 
     const loop = async () => {
+      if (pausedRef.current) {
+        loopIdleRef.current = true;
+        return;
+      }
       const faces = await estimateFaces();
-      setFacesCount(faces?.length || 0);
+      // pose comes from the raw video-space mesh, where x, y and z share one scale
+      const raw = faces?.length ? extract2DPoints(faces[0]) : [];
+      const pts = toDisplayPoints(raw);
+      applyEngine(engine.sample({ t: Date.now(), facesCount: faces?.length || 0, landmarks: raw }));
 
       if (faces && faces.length) {
-        const raw = extract2DPoints(faces[0]);
-        const pts = toDisplayPoints(raw);
         if (pts.length) {
-          const yawNorm = estimateHeadYaw(pts); // 0..1
-          const eyeHeight = estimateEyeHeight(pts); // 0..1
-
-          const turned = yawNorm < 0.45 || yawNorm > 0.55;
-          setHeadTurned(turned);
-
-          const eyesDown = eyeHeight < 0.30;
-          const eyesUp = eyeHeight > 0.60;
-          setEyesOffScreen(eyesDown || eyesUp);
-
           updateGeometry(pts);
 
           if (
@@ -509,6 +552,7 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
     return () => {
       isMounted = false;
       cancelAnimationFrame(rafRef.current);
+      loopRef.current = null;
       window.removeEventListener("resize", handleResize);
       if (videoRef.current?.srcObject) {
         const tracks = videoRef.current.srcObject.getTracks?.() || [];
@@ -536,7 +580,34 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
       sceneRef.current = null;
       cameraRef.current = null;
     };
-  }, []);
+  }, [engine, applyEngine]);
+
+  // ------------- pause / resume -------------
+  useEffect(() => {
+    pausedRef.current = paused;
+    applyEngine(engine.setPaused(paused, Date.now()));
+    const stream = videoRef.current?.srcObject;
+    // disabled tracks deliver black frames, so the camera is effectively off
+    stream?.getVideoTracks?.().forEach((t) => (t.enabled = !paused));
+    try {
+      const wg = webgazerRef.current;
+      if (paused) wg?.pause?.();
+      else wg?.resume?.();
+    } catch {
+      // WebGazer may not have started yet; its loader checks pausedRef
+    }
+    if (!paused && loopIdleRef.current && loopRef.current) {
+      loopIdleRef.current = false;
+      rafRef.current = requestAnimationFrame(loopRef.current);
+    }
+  }, [paused, engine, applyEngine]);
+
+  // hiding the mesh only hides the canvas; tracking carries on underneath
+  useEffect(() => {
+    showMeshRef.current = showMesh;
+    const canvas = rendererRef.current?.domElement;
+    if (canvas) canvas.style.visibility = showMesh ? "visible" : "hidden";
+  }, [showMesh]);
 
   // ------------- webgazer overlays -------------
   useEffect(() => {
@@ -611,41 +682,18 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
           if (dot) dot.style.display = "none";
         } catch (_) {}
 
-        const OFFSCREEN_DELAY_MS = 250;
-        let lastOnScreenAt = performance.now();
-
         wg.setGazeListener((data) => {
           if (cancelled) return;
-          const margin =
-            typeof gazeBounds?.margin === "number" ? gazeBounds.margin : 150;
-          const W =
-            window.innerWidth || document.documentElement.clientWidth || 0;
-          const H =
-            window.innerHeight || document.documentElement.clientHeight || 0;
-          const minX = typeof gazeBounds?.minX === "number" ? gazeBounds.minX : 0;
-          const maxX = typeof gazeBounds?.maxX === "number" ? gazeBounds.maxX : W;
-          const minY = typeof gazeBounds?.minY === "number" ? gazeBounds.minY : 0;
-          const maxY = typeof gazeBounds?.maxY === "number" ? gazeBounds.maxY : H;
+          const viewport = {
+            width: window.innerWidth || document.documentElement.clientWidth || 0,
+            height: window.innerHeight || document.documentElement.clientHeight || 0,
+          };
           const valid =
             data && typeof data.x === "number" && typeof data.y === "number";
-          if (valid) {
-            const x = data.x;
-            const y = data.y;
-            setGazeXY({ x: Math.round(x), y: Math.round(y) });
-            const inside =
-              x >= minX - margin &&
-              x <= maxX + margin &&
-              y >= minY - margin &&
-              y <= maxY + margin;
-            if (inside) {
-              lastOnScreenAt = performance.now();
-            }
-          } else {
-            setGazeXY(null);
-          }
-          const now = performance.now();
-          setOffScreen(now - lastOnScreenAt > OFFSCREEN_DELAY_MS);
+          const gaze = valid ? { x: data.x, y: data.y } : null;
+          applyEngine(engine.sample({ t: Date.now(), gaze, viewport }));
         }).begin();
+        if (pausedRef.current) wg.pause?.();
       })
       .catch((err) => {
         console.warn("WebGazer load failed", err);
@@ -662,53 +710,70 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
         }
       } catch (_) {}
     };
-  }, [gazeBounds]);
+  }, [engine, applyEngine]);
 
-  // ------------- FOCUS AI EFFECT -------------
+  // ------------- focus engine inputs -------------
   useEffect(() => {
-    const now =
-      typeof performance !== "undefined" ? performance.now() : Date.now();
-    const stats = focusStatsRef.current;
-
-    const dt = now - stats.lastUpdate;
-    stats.lastUpdate = now;
-
-    stats.totalMs += dt;
-    if (stats.lastFocusedFlag) stats.focusedMs += dt;
-
-    // focused if: 1 face + gaze on-screen + head not turned + eyes not clearly up/down
-    const rawFocused =
-      facesCount === 1 && !offScreen && !headTurned && !eyesOffScreen;
-    const UNFOCUS_THRESHOLD_MS = 2000;
-
-    if (!rawFocused) {
-      if (stats.unfocusedSince == null) {
-        stats.unfocusedSince = now;
-      } else if (now - stats.unfocusedSince > UNFOCUS_THRESHOLD_MS) {
-        if (stats.lastFocusedFlag === true) {
-          setDistractions((d) => d + 1);
-        }
-        stats.lastFocusedFlag = false;
-      }
-    } else {
-      stats.unfocusedSince = null;
-      stats.lastFocusedFlag = true;
-    }
+    // a baseline cleared mid-session falls back to the defaults
+    const thresholds = {
+      ...DEFAULT_FOCUS_THRESHOLDS,
+      ...engineThresholds(distractionDelaySec, awayAfterSec, poseBaseline, sessionMode),
+    };
+    engine.configure({ thresholds, gazeBounds });
+  }, [engine, distractionDelaySec, awayAfterSec, poseBaseline, sessionMode, gazeBounds]);
 
-    setIsFocused(stats.lastFocusedFlag);
-    if (stats.totalMs > 0) {
-      setFocusPercent(Math.round((stats.focusedMs / stats.totalMs) * 100));
-    }
-  }, [offScreen, facesCount, headTurned, eyesOffScreen]);
+  // breaks only stop the accounting; the mesh keeps running
+  useEffect(() => {
+    applyEngine(engine.setBreak(trackingPaused, Date.now()));
+  }, [trackingPaused, engine, applyEngine]);
 
   useEffect(() => {
     if (typeof onStatsChange === "function") {
-      onStatsChange({ focusPercent, distractions });
+      onStatsChange({
+        focusPercent,
+        distractions,
+        drowsiness: drowsinessTotals,
+        fatigueScore: fatigue.score,
+        fatigue: fatigue.totals,
+      });
     }
-  }, [focusPercent, distractions, onStatsChange]);
+  }, [focusPercent, distractions, drowsinessTotals, fatigue, onStatsChange]);
+
+  // ------------- per-second tick and timeline sampling -------------
+  // the tick lets thresholds and away time pass even when no new frame or gaze point arrives
+  useEffect(() => {
+    const id = setInterval(() => {
+      const at = Date.now();
+      applyEngine(engine.sample({ t: at }));
+      const { focused, trackingOff: off, signals, drowsiness, fatigue: fatigueNow } = engine.snapshot();
+      setDrowsinessTotals(drowsiness.totals);
+      setFatigue(fatigueNow);
+      // no samples while tracking is off, so breaks and pauses show up as gaps
+      if (typeof onTimelineSample !== "function" || off) return;
+      onTimelineSample({
+        at,
+        isFocused: focused,
+        facesCount: signals.facesCount,
+        headTurned: signals.headTurned,
+        eyesOffScreen: signals.eyesOffScreen,
+        atDesk: signals.atDesk,
+        frozen: signals.frozen,
+        offScreen: signals.offScreen,
+        gazeX: signals.gaze ? Math.round(signals.gaze.x) : null,
+        gazeY: signals.gaze ? Math.round(signals.gaze.y) : null,
+        yaw: roundAngle(signals.pose?.yaw),
+        pitch: roundAngle(signals.pose?.pitch),
+        roll: roundAngle(signals.pose?.roll),
+        ear: drowsiness.ear != null ? Math.round(drowsiness.ear * 100) / 100 : null,
+        drowsy: drowsiness.drowsy,
+        fatigue: fatigueNow.score,
+      });
+    }, TIMELINE_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [onTimelineSample, engine, applyEngine]);
 
   // ----------- derived UI state: what to show as "not focused" ----------
-  const displayNotFocused = !isFocused || facesCount === 0;
+  const displayNotFocused = !trackingOff && (!isFocused || facesCount === 0);
 
   // ------------- RENDER -------------
   return (
@@ -720,7 +785,11 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
         maxWidth: 800,
         aspectRatio: "4 / 3",
         // red background if our display state says "not focused" OR no face
-        background: displayNotFocused ? "rgba(255, 0, 0, 0.3)" : "#000",
+        background: displayNotFocused
+          ? "rgba(255, 0, 0, 0.3)"
+          : drowsy && !trackingOff
+          ? "rgba(245, 158, 11, 0.3)"
+          : "#000",
         overflow: "hidden",
       }}
     >
@@ -809,11 +878,28 @@ export default function FaceMesh3D({ onStatsChange, alertEnabled = true, gazeBou
   }}
 >
   <div>{status} • Faces: {facesCount} • FPS: {fps}</div>
-  <div>Focus: {isFocused ? "Focused" : "Not focused"}</div>
+  <div>Focus: {away ? "Away" : trackingOff ? "Paused" : isFocused ? "Focused" : "Not focused"}</div>
   <div>Session focus: {focusPercent}%</div>
   <div>Distractions: {distractions}</div>
   <div>Head turned: {headTurned ? "yes" : "no"}</div>
+  {sessionMode !== "screen" && (
+    <div>
+      Looking at: {posture === "frozen" ? "desk, held still (phone-like)" : posture === "desk" ? "desk" : "screen"}
+    </div>
+  )}
+  <div>
+    Head pose: yaw {formatAngle(pose?.yaw)} • pitch {formatAngle(pose?.pitch)} • roll {formatAngle(pose?.roll)}
+  </div>
   <div>Alerting: {displayNotFocused ? "YES (beeping)" : "no"}</div>
+  <div>
+    Alertness: {drowsy ? "Drowsy" : "Awake"} • EAR {eyes?.ear != null ? eyes.ear.toFixed(2) : "—"} • Blinks/min{" "}
+    {eyes?.blinkRate != null ? Math.round(eyes.blinkRate) : "—"} • PERCLOS{" "}
+    {eyes?.perclos != null ? `${Math.round(eyes.perclos * 100)}%` : "—"}
+  </div>
+  <div>
+    Fatigue: {fatigue.score}/100 • Yawns (10 min): {fatigue.recentYawns}
+    {fatigue.totals.baseline ? "" : " • measuring baseline"}
+  </div>
 </div>
 
 
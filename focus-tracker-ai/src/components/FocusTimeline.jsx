@@ -0,0 +1,95 @@
+import React, { useMemo } from "react";
+import { formatClock } from "../lib/format.js";
+import { noteLabel } from "../lib/notes.js";
+
+const STATE_COLORS = {
+  focused: "#22c55e",
+  distracted: "#ef4444",
+  drowsy: "#f59e0b",
+  noFace: "#94a3b8",
+};
+
+const NOTE_COLORS = {
+  note: "#2563eb",
+  mark: "#0f172a",
+};
+
+// drowsiness is its own state and shows even while the gaze stays on screen
+const sampleState = (s) => {
+  if (s.facesCount === 0) return "noFace";
+  if (s.drowsy) return "drowsy";
+  return s.isFocused ? "focused" : "distracted";
+};
+
+// Collapse per-second samples into runs of the same state so long sessions
+// render as a handful of rects instead of thousands.
+function toSegments(timeline) {
+  const segments = [];
+  for (const s of timeline || []) {
+    const state = sampleState(s);
+    const last = segments[segments.length - 1];
+    if (last && last.state === state && s.t <= last.end + 1) {
+      last.end = s.t + 1;
+    } else {
+      segments.push({ state, start: s.t, end: s.t + 1 });
+    }
+  }
+  return segments;
+}
+
+// notes are the session's { t, kind, text } annotations, drawn as ticks on top
+export default function FocusTimeline({ timeline, notes = [], height = 18 }) {
+  const segments = useMemo(() => toSegments(timeline), [timeline]);
+  if (!segments.length) return null;
+  const lastNote = notes.reduce((max, n) => Math.max(max, n.t + 1), 0);
+  const total = Math.max(1, segments[segments.length - 1].end, lastNote);
+
+  return (
+    <div className="focus-timeline">
+      <svg
+        viewBox={`0 0 ${total} ${height}`}
+        preserveAspectRatio="none"
+        width="100%"
+        height={height}
+        role="img"
+        aria-label="Focus timeline"
+      >
+        {segments.map((seg, i) => (
+          <rect
+            key={i}
+            x={seg.start}
+            y={0}
+            width={seg.end - seg.start}
+            height={height}
+            fill={STATE_COLORS[seg.state]}
+          >
+            <title>
+              {`${formatClock(seg.start)}–${formatClock(seg.end)}: ${
+                seg.state === "noFace" ? "no face" : seg.state
+              }`}
+            </title>
+          </rect>
+        ))}
+        {notes.map((note, i) => (
+          <line
+            key={`note-${i}`}
+            className="focus-timeline-marker"
+            x1={note.t}
+            x2={note.t}
+            y1={0}
+            y2={height}
+            stroke={NOTE_COLORS[note.kind] || NOTE_COLORS.note}
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+          >
+            <title>{`${formatClock(note.t)}: ${noteLabel(note)}`}</title>
+          </line>
+        ))}
+      </svg>
+      <div className="focus-timeline-axis">
+        <span>0:00</span>
+        <span>{formatClock(total)}</span>
+      </div>
+    </div>
+  );
+}
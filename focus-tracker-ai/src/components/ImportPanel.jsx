@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { applyImport, planImport, readImportFile } from "../lib/importer.js";
+
+// Restores a JSON bundle or xlsx workbook made by the export buttons into the
+// active profile. Shows what will be added, skipped and overwritten first.
+export default function ImportPanel({ profile, sessions, surveyResults, onImported }) {
+  const [fileName, setFileName] = useState("");
+  const [plan, setPlan] = useState(null);
+  const [strategy, setStrategy] = useState("keep-local");
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const reset = () => {
+    setPlan(null);
+    setError("");
+    setResult(null);
+    setStrategy("keep-local");
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    reset();
+    setFileName(file.name);
+    setBusy(true);
+    try {
+      const incoming = await readImportFile(file);
+      setPlan(planImport(incoming, { sessions, surveyResults }));
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const saved = await applyImport(plan, profile.id, strategy);
+      setResult(saved);
+      setPlan(null);
+      await onImported();
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toAdd = plan ? plan.sessions.length + plan.surveyResults.length : 0;
+  const toOverwrite = plan && strategy === "use-imported" ? plan.conflicts.length : 0;
+
+  return (
+    <div className="import-panel">
+      <h2 className="section-title">Import a backup</h2>
+      <p className="muted-text">
+        Load a .json or .xlsx export into <strong>{profile.name}</strong>. Records already here are skipped.
+      </p>
+      <label className="btn btn-secondary small">
+        Choose file
+        <input type="file" accept=".json,.xlsx" onChange={handleFile} hidden disabled={busy} />
+      </label>
+      {fileName && <span className="muted-text"> {fileName}</span>}
+
+      {error && <p className="form-error">{error}</p>}
+
+      {plan && (
+        <div className="import-plan">
+          <p>
+            New: {plan.sessions.length} sessions, {plan.surveyResults.length} survey responses ·
+            Duplicates: {plan.duplicates.length} · Conflicts: {plan.conflicts.length}
+          </p>
+
+          {plan.conflicts.length > 0 && (
+            <>
+              <ul>
+                {plan.conflicts.map((c, i) => (
+                  <li key={i}>{c.label} differs from the copy already saved</li>
+                ))}
+              </ul>
+              <div className="toggle-row">
+                <button
+                  type="button"
+                  className={"chip " + (strategy === "keep-local" ? "chip-active" : "")}
+                  onClick={() => setStrategy("keep-local")}
+                >
+                  Keep my versions
+                </button>
+                <button
+                  type="button"
+                  className={"chip " + (strategy === "use-imported" ? "chip-active" : "")}
+                  onClick={() => setStrategy("use-imported")}
+                >
+                  Use imported versions
+                </button>
+              </div>
+            </>
+          )}
+
+          {plan.errors.length > 0 && (
+            <details>
+              <summary>{plan.errors.length} invalid records will be skipped</summary>
+              <ul>
+                {plan.errors.map((msg, i) => (
+                  <li key={i}>{msg}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary small" onClick={reset}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary small"
+              disabled={busy || toAdd + toOverwrite === 0}
+              onClick={handleImport}
+            >
+              Import {toAdd + toOverwrite} records
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <p className="muted-text">
+          Imported {result.sessions} sessions and {result.surveyResults} survey responses.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { noteLabel } from "../lib/notes.js";
+
+const timeOfDay = (startedAt, t) =>
+  new Date(new Date(startedAt).getTime() + t * 1000).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// Sidebar panel on SessionPage: add a note, drop a marker, see what was noted so far.
+export default function NotesPanel({ startedAt, notes, onAddNote, onMark, markKey = "M" }) {
+  const [text, setText] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onAddNote(text);
+    setText("");
+  };
+
+  return (
+    <div className="notes-panel">
+      <strong>Notes</strong>
+      <form className="pin-row" onSubmit={handleSubmit}>
+        <input
+          className="text-input"
+          type="text"
+          placeholder="e.g. Stuck on Q3"
+          aria-label="Add a note"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <button type="submit" className="btn btn-secondary small" disabled={!text.trim()}>
+          Add
+        </button>
+      </form>
+      <button type="button" className="btn btn-secondary small" onClick={onMark} title={`Shortcut: ${markKey}`}>
+        Mark this moment ({markKey})
+      </button>
+      {notes.length > 0 && (
+        <ul className="notes-list">
+          {notes.map((n, i) => (
+            <li key={i} className={n.kind === "mark" ? "note-marker" : ""}>
+              <span className="muted-text">{timeOfDay(startedAt, n.t)}</span> {noteLabel(n)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
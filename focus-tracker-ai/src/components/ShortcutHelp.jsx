@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from "react";
+import { SHORTCUT_ACTIONS, comboFromEvent, defaultBindings, formatCombo, rebind } from "../lib/shortcuts.js";
+
+// Help overlay listing the session shortcuts. "Change" waits for the next key
+// press and rebinds the action; Escape cancels.
+export default function ShortcutHelp({ bindings, onChange, onClose }) {
+  const [recording, setRecording] = useState(null);
+
+  useEffect(() => {
+    if (!recording) return;
+    const onKeyDown = (e) => {
+      // capture phase and stopPropagation keep the key from also firing a shortcut
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === "Escape") {
+        setRecording(null);
+        return;
+      }
+      const combo = comboFromEvent(e);
+      if (!combo) return;
+      onChange(rebind(bindings, recording, combo));
+      setRecording(null);
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [recording, bindings, onChange]);
+
+  return (
+    <div className="shortcut-overlay" role="dialog" aria-modal="true" aria-label="Keyboard shortcuts" onClick={onClose}>
+      <div className="shortcut-card" onClick={(e) => e.stopPropagation()}>
+        <h2 className="section-title">Keyboard shortcuts</h2>
+        <p className="muted-text">Shortcuts are ignored while you are typing in a text field.</p>
+        <table className="shortcut-table">
+          <tbody>
+            {SHORTCUT_ACTIONS.map((a) => (
+              <tr key={a.id}>
+                <td>{a.label}</td>
+                <td>
+                  <kbd>{recording === a.id ? "Press a key…" : formatCombo(bindings[a.id])}</kbd>
+                </td>
+                <td>
+                  <button type="button" className="link-button" onClick={() => setRecording(recording === a.id ? null : a.id)}>
+                    {recording === a.id ? "Cancel" : "Change"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="form-actions">
+          <button type="button" className="btn btn-secondary small" onClick={() => onChange(defaultBindings())}>
+            Reset to defaults
+          </button>
+          <button type="button" className="btn btn-primary small" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useMemo } from "react";
+import { BarChart, ScatterPlot } from "./Charts.jsx";
+import {
+  CHOICE_QUESTIONS,
+  SCALE_QUESTIONS,
+  choiceCounts,
+  describeCorrelation,
+  focusAgreement,
+  scaleSummary,
+} from "../lib/surveyStats.js";
+
+export default function SurveyStats({ results }) {
+  const agreement = useMemo(() => focusAgreement(results), [results]);
+  const scales = useMemo(
+    () => SCALE_QUESTIONS.map((q) => ({ ...q, ...scaleSummary(results, q) })),
+    [results]
+  );
+  const choices = useMemo(
+    () => CHOICE_QUESTIONS.map((q) => ({ ...q, counts: choiceCounts(results, q) })),
+    [results]
+  );
+
+  return (
+    <div className="analytics">
+      <section className="analytics-panel">
+        <h3>Self-reported vs measured focus</h3>
+        <ScatterPlot
+          points={agreement.points}
+          xDomain={[0, 100]}
+          yDomain={[1, 5]}
+          fit={agreement.fit}
+          xLabel="Focus % (system)"
+          yLabel="Focus level"
+        />
+        <p className="muted-text">
+          Pearson r = {agreement.r != null ? agreement.r.toFixed(2) : "–"} (n = {agreement.points.length}) ·{" "}
+          {describeCorrelation(agreement.r)}
+        </p>
+      </section>
+
+      <div className="stats-grid">
+        {scales.map((q) => (
+          <section key={q.key} className="analytics-panel">
+            <h3>{q.label}</h3>
+            <p className="muted-text">
+              Mean {q.mean != null ? q.mean.toFixed(2) : "–"} of {q.max} · n = {q.n}
+            </p>
+            <BarChart
+              height={140}
+              data={q.distribution.map((count, i) => ({ label: String(q.min + i), values: [count] }))}
+              series={[{ name: "Responses", color: "#6366f1" }]}
+            />
+          </section>
+        ))}
+      </div>
+
+      <div className="stats-grid">
+        {choices.map((q) => {
+          const total = q.counts.reduce((sum, c) => sum + c.count, 0);
+          return (
+            <section key={q.key} className="analytics-panel">
+              <h3>{q.label}</h3>
+              <ul className="option-counts">
+                {q.counts.map((c) => (
+                  <li key={c.value}>
+                    <span>{c.label}</span>
+                    <span className="option-bar">
+                      <i style={{ width: total ? `${(c.count / total) * 100}%` : 0 }} />
+                    </span>
+                    <strong>{c.count}</strong>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
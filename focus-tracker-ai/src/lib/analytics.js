@@ -0,0 +1,131 @@
+// src/lib/analytics.js
+// Pure aggregations over stored sessions for the profile analytics view.
+// Everything works on the session records as saved by App.handleEndSession.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FILLED_BUCKETS = 120;
+
+const pad = (n) => (n < 10 ? "0" + n : String(n));
+
+// Local calendar day, so a late-evening session counts for the day it felt like.
+export function toDateKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Monday of the week containing date, as a date key.
+export function toWeekKey(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toDateKey(d);
+}
+
+const studiedMinutes = (s) => (typeof s.actualMinutes === "number" ? s.actualMinutes : 0);
+
+const average = (values) =>
+  values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+
+export function listSubjects(sessions) {
+  return [...new Set(sessions.map((s) => s.subject).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+// from/to are "yyyy-mm-dd" strings from <input type="date">, both inclusive.
+export function filterSessions(sessions, { from, to, subject } = {}) {
+  return sessions.filter((s) => {
+    const day = toDateKey(s.startedAt);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (subject && s.subject !== subject) return false;
+    return true;
+  });
+}
+
+export function focusOverTime(sessions) {
+  return sessions
+    .filter((s) => typeof s.focusPercent === "number")
+    .map((s) => ({
+      x: new Date(s.startedAt).getTime(),
+      y: s.focusPercent,
+      label: `${s.subject} · ${new Date(s.startedAt).toLocaleDateString()}`,
+    }))
+    .sort((a, b) => a.x - b.x);
+}
+
+// Study minutes per day or week. Daily buckets include empty days between the
+// first and last session (for reasonably short ranges) so gaps stay visible.
+export function minutesByPeriod(sessions, period = "day") {
+  const keyOf = period === "week" ? toWeekKey : toDateKey;
+  const totals = new Map();
+  for (const s of sessions) {
+    const key = keyOf(s.startedAt);
+    totals.set(key, (totals.get(key) || 0) + studiedMinutes(s));
+  }
+  const keys = [...totals.keys()].sort();
+  if (!keys.length) return [];
+
+  const step = period === "week" ? 7 : 1;
+  const first = new Date(keys[0] + "T00:00:00");
+  const last = new Date(keys[keys.length - 1] + "T00:00:00");
+  const span = Math.round((last - first) / DAY_MS / step);
+  if (span > MAX_FILLED_BUCKETS) {
+    return keys.map((key) => ({ key, minutes: totals.get(key) }));
+  }
+  const buckets = [];
+  for (let i = 0; i <= span; i++) {
+    const d = new Date(first);
+    d.setDate(first.getDate() + i * step);
+    const key = toDateKey(d);
+    buckets.push({ key, minutes: totals.get(key) || 0 });
+  }
+  return buckets;
+}
+
+export function subjectBreakdown(sessions) {
+  const bySubject = new Map();
+  for (const s of sessions) {
+    const entry = bySubject.get(s.subject) || { subject: s.subject, sessions: 0, minutes: 0, focus: [] };
+    entry.sessions += 1;
+    entry.minutes += studiedMinutes(s);
+    if (typeof s.focusPercent === "number") entry.focus.push(s.focusPercent);
+    bySubject.set(s.subject, entry);
+  }
+  return [...bySubject.values()]
+    .map(({ focus, ...rest }) => ({ ...rest, avgFocus: average(focus) }))
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+export function plannedVsActual(sessions) {
+  const rows = sessions.map((s) => ({
+    label: `${s.subject} · ${new Date(s.startedAt).toLocaleDateString()}`,
+    startedAt: s.startedAt,
+    planned: s.durationMinutes || 0,
+    actual: studiedMinutes(s),
+  }));
+  const planned = rows.reduce((sum, r) => sum + r.planned, 0);
+  const actual = rows.reduce((sum, r) => sum + r.actual, 0);
+  return {
+    rows,
+    planned,
+    actual,
+    // share of planned time actually studied, across sessions that had a plan
+    completion: planned > 0 ? Math.round((actual / planned) * 100) : null,
+  };
+}
+
+// Mean goal completion over sessions that had a task checklist.
+export function averageGoalCompletion(sessions) {
+  return average(sessions.filter((s) => typeof s.goalCompletion === "number").map((s) => s.goalCompletion));
+}
+
+export function alertsComparison(sessions) {
+  const group = (list) => ({
+    count: list.length,
+    avgFocus: average(list.filter((s) => typeof s.focusPercent === "number").map((s) => s.focusPercent)),
+    avgDistractions: average(list.filter((s) => typeof s.distractions === "number").map((s) => s.distractions)),
+  });
+  return {
+    on: group(sessions.filter((s) => s.wantsAlerts !== false)),
+    off: group(sessions.filter((s) => s.wantsAlerts === false)),
+  };
+}
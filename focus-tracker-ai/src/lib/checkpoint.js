@@ -0,0 +1,30 @@
+// src/lib/checkpoint.js
+// Periodic snapshot of the running session, kept per profile in the meta store
+// so a crash or reload mid-session can be resumed or saved on the next launch.
+
+import { getMeta, setMeta } from "./storage.js";
+
+export const CHECKPOINT_INTERVAL_MS = 5000;
+
+const keyFor = (profileId) => `sessionCheckpoint:${profileId}`;
+
+// Writes are queued so a late periodic save can never land after the clear
+// that follows "End Session" and bring a finished session back.
+let queue = Promise.resolve();
+const enqueue = (task) => {
+  queue = queue.then(task, task);
+  return queue;
+};
+
+export function saveCheckpoint(profileId, checkpoint) {
+  return enqueue(() => setMeta(keyFor(profileId), { ...checkpoint, savedAt: new Date().toISOString() }));
+}
+
+export function clearCheckpoint(profileId) {
+  return enqueue(() => setMeta(keyFor(profileId), null));
+}
+
+export async function loadCheckpoint(profileId) {
+  const checkpoint = await getMeta(keyFor(profileId));
+  return checkpoint?.config?.startedAt ? checkpoint : null;
+}
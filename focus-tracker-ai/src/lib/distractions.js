@@ -0,0 +1,47 @@
+// src/lib/distractions.js
+// Distraction causes and the per-session event log built from them.
+// Events are stored on the session as { start, duration, cause } where start
+// and duration are seconds relative to the session start (same clock as the
+// focus timeline).
+
+export const DISTRACTION_CAUSES = {
+  noFace: "No face",
+  multipleFaces: "Multiple faces",
+  headTurned: "Head turned",
+  eyesUp: "Eyes up",
+  eyesDown: "Eyes down",
+  phonePosture: "Phone-like posture",
+  offScreen: "Gaze off-screen",
+  unknown: "Unknown",
+};
+
+// Picks the single most specific reason for the current unfocused state.
+// Face presence wins over pose, and pose wins over the noisier gaze estimate.
+export function classifyDistraction({ facesCount, headTurned, eyesPitch, offScreen, frozen }) {
+  if (facesCount === 0) return "noFace";
+  if (facesCount > 1) return "multipleFaces";
+  if (frozen) return "phonePosture";
+  if (headTurned) return "headTurned";
+  if (eyesPitch === "up") return "eyesUp";
+  if (eyesPitch === "down") return "eyesDown";
+  if (offScreen) return "offScreen";
+  return "unknown";
+}
+
+export function causeLabel(cause) {
+  return DISTRACTION_CAUSES[cause] || DISTRACTION_CAUSES.unknown;
+}
+
+// Totals per cause across sessions, most costly (by time lost) first.
+export function summarizeDistractions(sessions) {
+  const totals = new Map();
+  for (const s of sessions) {
+    for (const e of s.distractionEvents || []) {
+      const entry = totals.get(e.cause) || { cause: e.cause, count: 0, seconds: 0 };
+      entry.count += 1;
+      entry.seconds += e.duration || 0;
+      totals.set(e.cause, entry);
+    }
+  }
+  return [...totals.values()].sort((a, b) => b.seconds - a.seconds || b.count - a.count);
+}
@@ -0,0 +1,214 @@
+// src/lib/drowsiness.js
+// Drowsiness from eyelid landmarks, separate from distraction: the eye aspect
+// ratio (EAR) of every frame gives blinks, the share of time the eyes are
+// closed (PERCLOS) and microsleeps (eyes shut for a second or more). Like the
+// focus engine it is driven by sample timestamps and runs headless.
+//
+// Drowsiness events are stored on the session as { start, duration, kind } in
+// seconds since the session started, kind "drowsy", "microsleep" or "yawn"
+// (yawns come from lib/fatigue.js).
+
+export const DROWSINESS_KINDS = {
+  drowsy: "Drowsy",
+  microsleep: "Microsleep",
+  yawn: "Yawn",
+};
+
+export const DEFAULT_DROWSINESS_THRESHOLDS = {
+  // EAR below this counts as eyes closed
+  closedEar: 0.2,
+  // closures up to this long are blinks
+  blinkMaxMs: 500,
+  // closures this long or longer are microsleeps
+  microsleepMs: 1000,
+  // rolling window for the blink rate and PERCLOS
+  windowMs: 60000,
+  // no blink rate or PERCLOS until the window holds this much observed time
+  minObservedMs: 10000,
+  // eyes closed for this share of the window means drowsy...
+  perclosDrowsy: 0.15,
+  // ...and only below this share, with no microsleep for holdMs, alert again
+  perclosAlert: 0.08,
+  holdMs: 30000,
+  // a longer gap between samples (no face, tracking off) is not observed time
+  maxGapMs: 1000,
+};
+
+// Eyelid landmarks of the face mesh per eye: outer and inner corner, then two
+// upper/lower lid pairs.
+const EYES = [
+  { corners: [33, 133], lids: [[160, 144], [158, 153]] },
+  { corners: [263, 362], lids: [[385, 380], [387, 373]] },
+];
+
+const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// Mean eye aspect ratio of both eyes (lid opening over eye width), or null
+// when the mesh lacks the eyelid landmarks.
+export function eyeAspectRatio(landmarks) {
+  if (!landmarks || landmarks.length < 400) return null;
+  let sum = 0;
+  for (const { corners, lids } of EYES) {
+    const width = dist(landmarks[corners[0]], landmarks[corners[1]]);
+    if (!(width > 0)) return null;
+    const opening = lids.reduce((total, [upper, lower]) => total + dist(landmarks[upper], landmarks[lower]), 0);
+    sum += opening / (2 * width);
+  }
+  return sum / EYES.length;
+}
+
+export const drowsinessLabel = (kind) => DROWSINESS_KINDS[kind] || kind;
+
+// resume: the totals of a session recovered from a checkpoint. sample() and
+// reset() return the events they caused:
+//   { type: "drowsyStart", at }              the drowsy state began
+//   { type: "drowsyEnd", at }                it ended (or tracking stopped)
+//   { type: "microsleep", at, durationMs }   the eyes reopened after a microsleep that began at `at`
+export function createDrowsinessMonitor({ thresholds, resume = null } = {}) {
+  let config = { ...DEFAULT_DROWSINESS_THRESHOLDS, ...(thresholds || {}) };
+  const totals = {
+    blinks: resume?.blinks ?? 0,
+    microsleeps: resume?.microsleeps ?? 0,
+    closedMs: resume?.closedMs ?? 0,
+    observedMs: resume?.observedMs ?? 0,
+    drowsyMs: resume?.drowsyMs ?? 0,
+  };
+
+  // observed intervals in the rolling window: { t, dt, closed }
+  let recent = [];
+  let windowObservedMs = 0;
+  let windowClosedMs = 0;
+  let blinkTimes = [];
+
+  let lastT = null;
+  let lastEar = null;
+  let closedSince = null;
+  let inMicrosleep = false;
+  let lastMicrosleepAt = null;
+  let drowsy = false;
+
+  const isClosed = (ear) => ear != null && ear < config.closedEar;
+
+  function trim(t) {
+    while (recent.length && t - recent[0].t > config.windowMs) {
+      const old = recent.shift();
+      windowObservedMs -= old.dt;
+      if (old.closed) windowClosedMs -= old.dt;
+    }
+    blinkTimes = blinkTimes.filter((bt) => t - bt <= config.windowMs);
+  }
+
+  const perclos = () => (windowObservedMs >= config.minObservedMs ? windowClosedMs / windowObservedMs : null);
+  const blinkRate = () =>
+    windowObservedMs >= config.minObservedMs ? (blinkTimes.length * 60000) / windowObservedMs : null;
+
+  function setDrowsy(value, t, events) {
+    if (value === drowsy) return;
+    drowsy = value;
+    events.push({ type: value ? "drowsyStart" : "drowsyEnd", at: t });
+  }
+
+  return {
+    // ear: this frame's eye aspect ratio, or null when the eyes cannot be seen
+    sample(t, ear) {
+      const events = [];
+      const observed = lastT != null && lastEar != null && ear != null && t > lastT && t - lastT <= config.maxGapMs;
+      if (observed) {
+        const dt = t - lastT;
+        const closed = isClosed(lastEar);
+        recent.push({ t, dt, closed });
+        windowObservedMs += dt;
+        totals.observedMs += dt;
+        if (closed) {
+          windowClosedMs += dt;
+          totals.closedMs += dt;
+        }
+        if (drowsy) totals.drowsyMs += dt;
+      } else {
+        // a closure cannot be measured across a gap
+        closedSince = null;
+        inMicrosleep = false;
+      }
+      if (lastT == null || t > lastT) lastT = t;
+      lastEar = ear;
+      trim(t);
+      if (ear == null) return events;
+
+      if (isClosed(ear)) {
+        if (closedSince == null) closedSince = t;
+        if (!inMicrosleep && t - closedSince >= config.microsleepMs) {
+          // alert while the eyes are still shut; the event follows when they reopen
+          inMicrosleep = true;
+          setDrowsy(true, t, events);
+        }
+      } else if (closedSince != null) {
+        const durationMs = t - closedSince;
+        if (inMicrosleep) {
+          totals.microsleeps += 1;
+          lastMicrosleepAt = t;
+          events.push({ type: "microsleep", at: closedSince, durationMs });
+        } else if (durationMs <= config.blinkMaxMs) {
+          totals.blinks += 1;
+          blinkTimes.push(t);
+        }
+        closedSince = null;
+        inMicrosleep = false;
+      }
+
+      const p = perclos();
+      if (!drowsy && p != null && p >= config.perclosDrowsy) {
+        setDrowsy(true, t, events);
+      } else if (
+        drowsy &&
+        !inMicrosleep &&
+        (p == null || p < config.perclosAlert) &&
+        (lastMicrosleepAt == null || t - lastMicrosleepAt >= config.holdMs)
+      ) {
+        setDrowsy(false, t, events);
+      }
+      return events;
+    },
+
+    // tracking stopped (pause, break, away): ends the drowsy state and starts the window over
+    reset(t) {
+      const events = [];
+      setDrowsy(false, t, events);
+      recent = [];
+      windowObservedMs = 0;
+      windowClosedMs = 0;
+      blinkTimes = [];
+      lastEar = null;
+      closedSince = null;
+      inMicrosleep = false;
+      return events;
+    },
+
+    configure(next) {
+      config = { ...config, ...next };
+    },
+
+    snapshot() {
+      return {
+        drowsy,
+        ear: lastEar,
+        eyesClosed: isClosed(lastEar),
+        blinkRate: blinkRate(),
+        perclos: perclos(),
+        totals: { ...totals },
+      };
+    },
+  };
+}
+
+// Session summary from the monitor totals: blinks per minute and PERCLOS over the whole session.
+export function summarizeDrowsiness(totals, events) {
+  const observedMin = (totals?.observedMs || 0) / 60000;
+  const drowsySec = (events || []).filter((e) => e.kind === "drowsy").reduce((sum, e) => sum + (e.duration || 0), 0);
+  return {
+    blinkRate: observedMin >= 1 ? Math.round((totals.blinks / observedMin) * 10) / 10 : null,
+    perclos: totals?.observedMs ? Math.round((totals.closedMs / totals.observedMs) * 1000) / 10 : null,
+    microsleeps: (events || []).filter((e) => e.kind === "microsleep").length,
+    yawns: (events || []).filter((e) => e.kind === "yawn").length,
+    drowsyMinutes: Math.round(drowsySec / 6) / 10,
+  };
+}
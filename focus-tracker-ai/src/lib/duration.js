@@ -0,0 +1,100 @@
+// src/lib/duration.js
+// Parses the planned-duration field of PreSessionForm. Accepts plain minutes
+// ("90"), h:mm ("1:30"), unit forms ("1h30m", "90m", "1.5h", "45 min",
+// "2 hours 10 minutes") and an end time ("until 17:30", "till 5:30pm").
+
+export const MAX_DURATION_MINUTES = 24 * 60;
+export const DEFAULT_DURATION_MINUTES = 60;
+
+export const DURATION_HINT = "Try 90, 1:30, 1h30m, 1.5h, 45 min or until 17:30.";
+
+const UNIT_MINUTES = {
+  h: 60,
+  hr: 60,
+  hrs: 60,
+  hour: 60,
+  hours: 60,
+  m: 1,
+  min: 1,
+  mins: 1,
+  minute: 1,
+  minutes: 1,
+};
+
+function parseUnits(text) {
+  // "1h30" leaves the minutes unit off
+  const shorthand = /^(\d+)\s*(?:h|hrs?|hours?)\s*(\d{1,2})$/.exec(text);
+  if (shorthand) return parseInt(shorthand[1], 10) * 60 + parseInt(shorthand[2], 10);
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)];
+  // every character must belong to a number-unit pair ("and" is allowed between them)
+  const rest = text.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/g, "").replace(/\band\b|,/g, "").trim();
+  if (!parts.length || rest) return null;
+  let minutes = 0;
+  for (const [, amount, unit] of parts) {
+    if (!(unit in UNIT_MINUTES)) return null;
+    minutes += parseFloat(amount) * UNIT_MINUTES[unit];
+  }
+  return Math.round(minutes);
+}
+
+// "17:30", "5:30pm", "5pm" -> { hours, minutes } on a 24h clock, or null.
+function parseClockTime(text) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(text);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  return { hours, minutes };
+}
+
+// A Date or ISO string as "17:30" on a 24h clock, the form "until" reads back.
+export function clockTime(date) {
+  const d = new Date(date);
+  return `${d.getHours()}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+// Whole minutes from now until endsAt (a Date or ISO string), at least 1.
+export function minutesUntil(endsAt, now = new Date()) {
+  return Math.max(1, Math.round((new Date(endsAt) - now) / 60000));
+}
+
+// Returns { minutes, endsAt } where endsAt is a Date for "until" input and null
+// otherwise, or { error } with a message for the form.
+export function parseDuration(value, now = new Date()) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return { error: "Enter how long you plan to study." };
+
+  let minutes = null;
+  let endsAt = null;
+
+  const until = /^(?:until|till|til)\s+(.+)$/.exec(text);
+  if (until) {
+    const clock = parseClockTime(until[1].trim());
+    if (!clock) return { error: `"${until[1].trim()}" is not a time of day. Use 17:30 or 5:30pm.` };
+    endsAt = new Date(now);
+    endsAt.setHours(clock.hours, clock.minutes, 0, 0);
+    // a time already past today means tomorrow (studying past midnight)
+    if (endsAt <= now) endsAt.setDate(endsAt.getDate() + 1);
+    minutes = minutesUntil(endsAt, now);
+  } else if (/^\d+$/.test(text)) {
+    minutes = parseInt(text, 10);
+  } else if (/^\d+:\d{1,2}$/.test(text)) {
+    const [hours, mins] = text.split(":").map((n) => parseInt(n, 10));
+    if (mins > 59) return { error: `"${value}" has more than 59 minutes. ${DURATION_HINT}` };
+    minutes = hours * 60 + mins;
+  } else {
+    minutes = parseUnits(text);
+  }
+
+  if (minutes == null) return { error: `Couldn't read "${String(value).trim()}". ${DURATION_HINT}` };
+  if (minutes < 1) return { error: "Plan at least 1 minute." };
+  if (minutes > MAX_DURATION_MINUTES) return { error: "Plan at most 24 hours." };
+  return { minutes, endsAt };
+}
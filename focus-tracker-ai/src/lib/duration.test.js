@@ -0,0 +1,48 @@
+// src/lib/duration.test.js
+// The planned-duration field. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { minutesUntil, parseDuration } from "./duration.js";
+
+describe("parseDuration", () => {
+  it("reads minutes, h:mm and unit forms", () => {
+    for (const [input, minutes] of [
+      ["90", 90],
+      ["1:30", 90],
+      ["1h30m", 90],
+      ["1h30", 90],
+      ["1.5h", 90],
+      ["45 min", 45],
+      ["2 hours and 10 minutes", 130],
+    ]) {
+      assert.deepEqual(parseDuration(input), { minutes, endsAt: null }, input);
+    }
+  });
+
+  it("counts an until time from now, rolling past midnight", () => {
+    const now = new Date(2026, 9, 19, 16, 0);
+    const until = parseDuration("until 17:30", now);
+    assert.equal(until.minutes, 90);
+    assert.equal(until.endsAt.getTime(), new Date(2026, 9, 19, 17, 30).getTime());
+    assert.equal(parseDuration("till 5:30pm", now).minutes, 90);
+    assert.equal(parseDuration("until 1am", new Date(2026, 9, 19, 23, 0)).minutes, 120);
+  });
+
+  it("explains what it cannot read", () => {
+    assert.match(parseDuration("").error, /how long/);
+    assert.match(parseDuration("soon").error, /Couldn't read "soon"/);
+    assert.match(parseDuration("1:75").error, /more than 59 minutes/);
+    assert.match(parseDuration("until 25:00").error, /not a time of day/);
+    assert.match(parseDuration("0").error, /at least 1 minute/);
+    assert.match(parseDuration("25h").error, /at most 24 hours/);
+  });
+});
+
+describe("minutesUntil", () => {
+  it("rounds to whole minutes and never goes below 1", () => {
+    const now = new Date(2026, 9, 19, 16, 0);
+    assert.equal(minutesUntil(new Date(2026, 9, 19, 16, 44, 40), now), 45);
+    assert.equal(minutesUntil(new Date(2026, 9, 19, 15, 0).toISOString(), now), 1);
+  });
+});
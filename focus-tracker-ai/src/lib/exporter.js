@@ -0,0 +1,243 @@
+// src/lib/exporter.js
+// Full-history exports: one xlsx workbook with a sheet per table, the same
+// tables as CSV files, and a versioned JSON bundle. Every table carries the
+// session id so rows can be joined back together in other tools.
+
+import * as XLSX from "xlsx";
+// the default import of this CommonJS package also loads under plain Node (npm test)
+import FileSaver from "file-saver";
+import { causeLabel } from "./distractions.js";
+import { drowsinessLabel } from "./drowsiness.js";
+import { PAUSE_REASONS, pauseLabel, pausedSecondsByReason } from "./pauses.js";
+import { normalizePomodoro } from "./pomodoro.js";
+import { allQuestions } from "./surveySchema.js";
+import { SCHEMA_VERSION } from "./storage.js";
+
+export const BUNDLE_FORMAT = "focus-tracker-ai/bundle";
+export const BUNDLE_VERSION = 1;
+
+const yesNo = (v) => (v === false ? "No" : "Yes");
+const fromYesNo = (v) => String(v).trim().toLowerCase() !== "no";
+const flag = (v) => (v ? 1 : 0);
+const fromFlag = (v) => v === true || Number(v) === 1;
+// Pomodoro settings as "work/break/long x cycles", e.g. "25/5/15 x4"
+const formatPomodoro = (p) =>
+  p ? `${p.workMinutes}/${p.breakMinutes}/${p.longBreakMinutes} x${p.cyclesBeforeLongBreak}` : "";
+const parsePomodoro = (v) => {
+  const m = String(v).match(/^(\d+)\/(\d+)\/(\d+) x(\d+)$/);
+  return m ? normalizePomodoro({ workMinutes: m[1], breakMinutes: m[2], longBreakMinutes: m[3], cyclesBeforeLongBreak: m[4] }) : null;
+};
+const pausedMinutes = (reason) => (pauses) => Math.round((pausedSecondsByReason(pauses)[reason] || 0) / 6) / 10;
+const formatBlockFocus = (blocks) =>
+  (blocks || []).filter((b) => b.kind === "work").map((b) => b.focusPercent ?? "").join(", ");
+
+// Column definitions describe each table; the same list maps columns back to fields.
+// header is the sheet/CSV column, key the record field, format the cell value
+// and parse its inverse. `system` columns are derived and skipped on import.
+export const SESSION_COLUMNS = [
+  { header: "Session ID", key: "id" },
+  { header: "Subject", key: "subject" },
+  { header: "Goal", key: "goal" },
+  { header: "Started At", key: "startedAt" },
+  { header: "Ended At", key: "endedAt" },
+  { header: "Planned (min)", key: "durationMinutes" },
+  { header: "Actual (min)", key: "actualMinutes" },
+  { header: "Extended (min)", key: "extendedMinutes" },
+  { header: "Overtime (min)", key: "overtimeMinutes" },
+  { header: "Mode", key: "sessionMode" },
+  { header: "Focus %", key: "focusPercent" },
+  { header: "Fatigue Score", key: "fatigueScore" },
+  { header: "Goal Completion %", key: "goalCompletion" },
+  { header: "Distractions", key: "distractions" },
+  { header: "Alert Beep Enabled", key: "wantsAlerts", format: yesNo, parse: fromYesNo },
+  { header: "Background Audio", key: "wantsBackgroundAudio", format: yesNo, parse: fromYesNo },
+  { header: "Away (min)", key: "pauses", format: pausedMinutes("away"), system: true },
+  // every other pause reason in a column of its own: "Paused (min)", "Recalibrating (min)", ...
+  ...Object.entries(PAUSE_REASONS)
+    .filter(([reason]) => reason !== "away")
+    .map(([reason, label]) => ({ header: `${label} (min)`, key: "pauses", format: pausedMinutes(reason), system: true })),
+  { header: "Pomodoro", key: "pomodoro", format: formatPomodoro, parse: parsePomodoro },
+  { header: "Block Focus %", key: "pomodoroBlocks", format: formatBlockFocus, system: true },
+  { header: "Blinks/min", key: "blinkRate" },
+  { header: "PERCLOS %", key: "perclos" },
+  { header: "Microsleeps", key: "microsleeps" },
+  { header: "Yawns", key: "yawns" },
+  { header: "Drowsy (min)", key: "drowsyMinutes" },
+];
+
+export const SURVEY_COLUMNS = [
+  { header: "Session ID", key: "sessionId" },
+  { header: "Response ID", key: "id" },
+  { header: "Submitted At", key: "submittedAt" },
+  { header: "Subject", key: "session.subject", system: true },
+  { header: "Session Time (min, SYSTEM)", key: "session.actualMinutes", system: true },
+  { header: "Focus % (SYSTEM)", key: "session.focusPercent", system: true },
+  { header: "Distractions (SYSTEM)", key: "session.distractions", system: true },
+  { header: "Alert Beep Enabled (SYSTEM)", key: "session.wantsAlerts", format: yesNo, system: true },
+  { header: "Survey", key: "surveyId" },
+  { header: "Survey Version", key: "surveyVersion" },
+  // one column per question across every survey version, see lib/surveySchema.js
+  ...allQuestions().map((q) => ({ header: q.exportHeader || q.label, key: q.key })),
+];
+
+export const DISTRACTION_COLUMNS = [
+  { header: "Session ID", key: "sessionId" },
+  { header: "Start (s)", key: "start" },
+  { header: "Duration (s)", key: "duration" },
+  { header: "Cause", key: "cause" },
+  { header: "Cause Label", key: "cause", format: causeLabel, system: true },
+];
+
+export const DROWSINESS_COLUMNS = [
+  { header: "Session ID", key: "sessionId" },
+  { header: "Start (s)", key: "start" },
+  { header: "Duration (s)", key: "duration" },
+  { header: "Kind", key: "kind" },
+  { header: "Kind Label", key: "kind", format: drowsinessLabel, system: true },
+];
+
+export const PAUSE_COLUMNS = [
+  { header: "Session ID", key: "sessionId" },
+  { header: "Start (s)", key: "start" },
+  { header: "Duration (s)", key: "duration" },
+  { header: "Reason", key: "reason" },
+  { header: "Reason Label", key: "reason", format: pauseLabel, system: true },
+];
+
+export const TASK_COLUMNS = [
+  { header: "Session ID", key: "sessionId" },
+  { header: "Task ID", key: "id" },
+  { header: "Task", key: "text", parse: String },
+  { header: "Done At (s)", key: "doneAt" },
+];
+
+export const NOTE_COLUMNS = [
+  { header: "Session ID", key: "sessionId" },
+  { header: "Second", key: "t" },
+  { header: "Kind", key: "kind" },
+  { header: "Text", key: "text", parse: String },
+];
+
+export const TIMELINE_COLUMNS = [
+  { header: "Session ID", key: "sessionId" },
+  { header: "Second", key: "t" },
+  { header: "Focused", key: "isFocused", format: flag, parse: fromFlag },
+  { header: "Faces", key: "facesCount" },
+  { header: "Head Turned", key: "headTurned", format: flag, parse: fromFlag },
+  { header: "Eyes Off-Screen", key: "eyesOffScreen", format: flag, parse: fromFlag },
+  { header: "At Desk", key: "atDesk", format: flag, parse: fromFlag },
+  { header: "Phone-like Posture", key: "frozen", format: flag, parse: fromFlag },
+  { header: "Gaze Off-Screen", key: "offScreen", format: flag, parse: fromFlag },
+  { header: "Gaze X", key: "gazeX" },
+  { header: "Gaze Y", key: "gazeY" },
+  { header: "Yaw (deg)", key: "yaw" },
+  { header: "Pitch (deg)", key: "pitch" },
+  { header: "Roll (deg)", key: "roll" },
+  { header: "Eye Aspect Ratio", key: "ear" },
+  { header: "Drowsy", key: "drowsy", format: flag, parse: fromFlag },
+  { header: "Fatigue Score", key: "fatigue" },
+];
+
+// Sheet names (and CSV file suffixes and labels) in workbook order.
+export const TABLES = [
+  { name: "Sessions", file: "sessions", label: "Sessions", columns: SESSION_COLUMNS },
+  { name: "SurveyResponses", file: "survey_responses", label: "Survey responses", columns: SURVEY_COLUMNS },
+  { name: "DistractionEvents", file: "distraction_events", label: "Distraction events", columns: DISTRACTION_COLUMNS },
+  { name: "Drowsiness", file: "drowsiness", label: "Drowsiness", columns: DROWSINESS_COLUMNS },
+  { name: "Pauses", file: "pauses", label: "Pauses", columns: PAUSE_COLUMNS },
+  { name: "Tasks", file: "tasks", label: "Tasks", columns: TASK_COLUMNS },
+  { name: "Notes", file: "notes", label: "Notes", columns: NOTE_COLUMNS },
+  { name: "Timeline", file: "timeline", label: "Timeline", columns: TIMELINE_COLUMNS },
+];
+
+const getPath = (obj, path) => path.split(".").reduce((v, k) => (v == null ? v : v[k]), obj);
+
+function toRows(records, columns) {
+  return records.map((r) => {
+    const row = {};
+    for (const col of columns) {
+      const value = getPath(r, col.key);
+      row[col.header] = col.format ? col.format(value) : value ?? "";
+    }
+    return row;
+  });
+}
+
+export function buildTables({ sessions, surveyResults }) {
+  const nested = (field) =>
+    sessions.flatMap((s) => (s[field] || []).map((entry) => ({ sessionId: s.id, ...entry })));
+  return {
+    Sessions: toRows(sessions, SESSION_COLUMNS),
+    SurveyResponses: toRows(surveyResults, SURVEY_COLUMNS),
+    DistractionEvents: toRows(nested("distractionEvents"), DISTRACTION_COLUMNS),
+    Drowsiness: toRows(nested("drowsinessEvents"), DROWSINESS_COLUMNS),
+    Pauses: toRows(nested("pauses"), PAUSE_COLUMNS),
+    Tasks: toRows(nested("tasks"), TASK_COLUMNS),
+    Notes: toRows(nested("notes"), NOTE_COLUMNS),
+    Timeline: toRows(nested("timeline"), TIMELINE_COLUMNS),
+  };
+}
+
+function buildWorkbook(data) {
+  const tables = buildTables(data);
+  const workbook = XLSX.utils.book_new();
+  for (const table of TABLES) {
+    // header option keeps column order (and headers) even for empty tables
+    const sheet = XLSX.utils.json_to_sheet(tables[table.name], {
+      header: table.columns.map((c) => c.header),
+    });
+    XLSX.utils.book_append_sheet(workbook, sheet, table.name);
+  }
+  const about = XLSX.utils.json_to_sheet([
+    {
+      Format: BUNDLE_FORMAT,
+      Version: BUNDLE_VERSION,
+      "Schema Version": SCHEMA_VERSION,
+      Profile: data.profile?.name ?? "",
+      "Exported At": new Date().toISOString(),
+    },
+  ]);
+  XLSX.utils.book_append_sheet(workbook, about, "About");
+  return workbook;
+}
+
+const fileBase = (profile) => {
+  const slug = (profile?.name || "export").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `focus-tracker_${slug || "export"}_${new Date().toISOString().slice(0, 10)}`;
+};
+
+export function exportWorkbook(data) {
+  const workbook = buildWorkbook(data);
+  const buffer = XLSX.write(workbook, { bookType: "xlsx", type: "array" });
+  FileSaver.saveAs(new Blob([buffer], { type: "application/octet-stream" }), `${fileBase(data.profile)}.xlsx`);
+}
+
+// CSV has no sheets, so each table is its own file. One download per click:
+// browsers block or prompt on a burst of automatic downloads.
+export function exportCsv(data, tableName) {
+  const table = TABLES.find((t) => t.name === tableName);
+  if (!table) throw new Error(`Unknown export table "${tableName}".`);
+  const csv = XLSX.utils.sheet_to_csv(buildWorkbook(data).Sheets[table.name]);
+  FileSaver.saveAs(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${fileBase(data.profile)}_${table.file}.csv`);
+}
+
+export function buildBundle({ profile, sessions, surveyResults }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    sessions,
+    // the session is already in `sessions`; keep the join key only
+    surveyResults: surveyResults.map((r) => {
+      const { session: _session, ...rest } = r;
+      return rest;
+    }),
+  };
+}
+
+export function exportJsonBundle(data) {
+  const json = JSON.stringify(buildBundle(data), null, 2);
+  FileSaver.saveAs(new Blob([json], { type: "application/json" }), `${fileBase(data.profile)}.json`);
+}
@@ -0,0 +1,195 @@
+// src/lib/fatigue.js
+// Fatigue builds up over a session, more slowly than drowsiness. The score
+// (0-100) combines three signals, each measured against the session's own
+// start so it does not depend on someone's resting blink rate or posture:
+//   - yawns in the last 10 minutes (from the mouth aspect ratio, MAR)
+//   - how far the blink rate has risen over its baseline
+//   - how far the head has drooped below its baseline pitch
+// Like the drowsiness monitor it is driven by sample timestamps and runs headless.
+//
+// Yawns are stored with the drowsiness events as { start, duration, kind: "yawn" }.
+
+export const DEFAULT_FATIGUE_THRESHOLDS = {
+  // MAR above this opens a yawn, below yawnEndMar closes it
+  yawnMar: 0.6,
+  yawnEndMar: 0.45,
+  // a wide-open mouth must last this long to be a yawn and not speech
+  yawnMinMs: 1500,
+  // yawns are counted over this window; yawnsHigh of them maxes out that part of the score
+  yawnWindowMs: 600000,
+  yawnsHigh: 3,
+  // the first baselineMs of observed time set the blink rate and head pitch baseline...
+  baselineMs: 180000,
+  // ...and the last trendWindowMs are compared against it
+  trendWindowMs: 300000,
+  // blink rate this far above baseline (0.5 = +50%) maxes out that part of the score
+  blinkRiseHigh: 0.5,
+  // head pitch this many degrees below baseline maxes out that part of the score
+  droopHighDeg: 10,
+  // a longer gap between samples (no face, tracking off) is not observed time
+  maxGapMs: 1000,
+};
+
+// share of the score per signal
+const WEIGHTS = { yawns: 0.4, blinks: 0.3, droop: 0.3 };
+
+// trend samples are averaged per bucket so the window stays small
+const BUCKET_MS = 10000;
+
+// Inner-lip landmarks of the face mesh: mouth corners, then three upper/lower pairs.
+const MOUTH = { corners: [78, 308], lips: [[13, 14], [82, 87], [312, 317]] };
+
+const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// Mouth opening over mouth width, or null when the mesh lacks the lip landmarks.
+export function mouthAspectRatio(landmarks) {
+  if (!landmarks || landmarks.length <= 317) return null;
+  const width = dist(landmarks[MOUTH.corners[0]], landmarks[MOUTH.corners[1]]);
+  if (!(width > 0)) return null;
+  const opening = MOUTH.lips.reduce((total, [upper, lower]) => total + dist(landmarks[upper], landmarks[lower]), 0);
+  return opening / (MOUTH.lips.length * width);
+}
+
+// resume: the totals of a session recovered from a checkpoint. sample() returns
+// the events it caused:
+//   { type: "yawn", at, durationMs }   the mouth closed after a yawn that began at `at`
+export function createFatigueMonitor({ thresholds, resume = null } = {}) {
+  let config = { ...DEFAULT_FATIGUE_THRESHOLDS, ...(thresholds || {}) };
+  let yawns = resume?.yawns ?? 0;
+  let baseline = resume?.baseline ?? null; // { blinkRate, pitch } once measured
+
+  // running sums while the baseline is measured
+  const start = { observedMs: 0, blinkSum: 0, blinkN: 0, pitchSum: 0, pitchN: 0 };
+  // { t, blinkSum, blinkN, pitchSum, pitchN } per BUCKET_MS
+  let buckets = [];
+  let yawnTimes = [];
+
+  let lastT = null;
+  let lastMar = null;
+  let openSince = null;
+
+  function add(target, blinkRate, pitch) {
+    if (blinkRate != null) {
+      target.blinkSum += blinkRate;
+      target.blinkN += 1;
+    }
+    if (pitch != null) {
+      target.pitchSum += pitch;
+      target.pitchN += 1;
+    }
+  }
+
+  function record(t, dt, blinkRate, pitch) {
+    if (!baseline) {
+      start.observedMs += dt;
+      add(start, blinkRate, pitch);
+      if (start.observedMs >= config.baselineMs) {
+        baseline = {
+          blinkRate: start.blinkN ? start.blinkSum / start.blinkN : null,
+          pitch: start.pitchN ? start.pitchSum / start.pitchN : null,
+        };
+      }
+    }
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || t - bucket.t >= BUCKET_MS) {
+      bucket = { t, blinkSum: 0, blinkN: 0, pitchSum: 0, pitchN: 0 };
+      buckets.push(bucket);
+    }
+    add(bucket, blinkRate, pitch);
+  }
+
+  function trim(t) {
+    buckets = buckets.filter((b) => t - b.t <= config.trendWindowMs);
+    yawnTimes = yawnTimes.filter((yt) => t - yt <= config.yawnWindowMs);
+  }
+
+  const mean = (key) => {
+    const n = buckets.reduce((sum, b) => sum + b[`${key}N`], 0);
+    return n ? buckets.reduce((sum, b) => sum + b[`${key}Sum`], 0) / n : null;
+  };
+
+  function components() {
+    const blinkRate = mean("blink");
+    const pitch = mean("pitch");
+    return {
+      yawns: clamp01(yawnTimes.length / config.yawnsHigh),
+      blinks:
+        baseline?.blinkRate > 0 && blinkRate != null
+          ? clamp01((blinkRate - baseline.blinkRate) / baseline.blinkRate / config.blinkRiseHigh)
+          : 0,
+      droop: baseline?.pitch != null && pitch != null ? clamp01((baseline.pitch - pitch) / config.droopHighDeg) : 0,
+    };
+  }
+
+  return {
+    // frame: { mar, blinkRate, pitch }, each null when it cannot be measured this frame
+    sample(t, { mar = null, blinkRate = null, pitch = null } = {}) {
+      const events = [];
+      const observed = lastT != null && mar != null && t > lastT && t - lastT <= config.maxGapMs;
+      if (observed) {
+        record(t, t - lastT, blinkRate, pitch);
+      } else {
+        // a yawn cannot be measured across a gap
+        openSince = null;
+      }
+      if (lastT == null || t > lastT) lastT = t;
+      lastMar = mar;
+      trim(t);
+      if (mar == null) return events;
+
+      if (openSince == null && mar > config.yawnMar) {
+        openSince = t;
+      } else if (openSince != null && mar < config.yawnEndMar) {
+        const durationMs = t - openSince;
+        if (durationMs >= config.yawnMinMs) {
+          yawns += 1;
+          yawnTimes.push(t);
+          events.push({ type: "yawn", at: openSince, durationMs });
+        }
+        openSince = null;
+      }
+      return events;
+    },
+
+    // tracking stopped (pause, break, away): a break is rest, so the trend window starts over
+    reset() {
+      buckets = [];
+      yawnTimes = [];
+      lastMar = null;
+      openSince = null;
+      return [];
+    },
+
+    configure(next) {
+      config = { ...config, ...next };
+    },
+
+    snapshot() {
+      const parts = components();
+      const score = Math.round(
+        100 * Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + weight * parts[key], 0)
+      );
+      return {
+        score,
+        mar: lastMar,
+        yawning: openSince != null,
+        recentYawns: yawnTimes.length,
+        components: parts,
+        totals: { yawns, baseline },
+      };
+    },
+  };
+}
+
+// One point per minute of timeline samples that carry a fatigue score: the
+// minute's highest score, for LineChart.
+export function fatigueSeries(timeline) {
+  const byMinute = new Map();
+  for (const s of timeline || []) {
+    if (s.fatigue == null) continue;
+    const minute = Math.floor(s.t / 60);
+    byMinute.set(minute, Math.max(byMinute.get(minute) ?? 0, s.fatigue));
+  }
+  return [...byMinute].map(([minute, score]) => ({ x: minute, y: score, label: `${minute} min` }));
+}
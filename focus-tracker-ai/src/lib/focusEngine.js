@@ -0,0 +1,340 @@
+// src/lib/focusEngine.js
+// The focus classifier, free of React, the camera and the DOM. FaceMesh3D feeds
+// it timestamped samples (face landmarks per frame, gaze points from WebGazer,
+// an empty tick once a second) and relays the events it returns. All timing
+// comes from the sample timestamps, so a recorded sample list replays to the
+// same stats and events, e.g. from node:
+//
+//   const engine = createFocusEngine({ thresholds: { distractionDelayMs: 1000 } });
+//   engine.sample({ t: 0, facesCount: 1, landmarks });
+//   engine.sample({ t: 500, facesCount: 0 }); // -> [] (unfocused since 500)
+//   engine.sample({ t: 2000 }); // -> [{ type: "start", at: 500, cause: "noFace" }], past the 1000 ms delay
+//   engine.snapshot().stats; // { focusedMs, totalMs, distractions, focusPercent }
+//
+// src/lib/focusEngine.test.js runs such sample lists headless with `npm test`.
+
+import { classifyDistraction } from "./distractions.js";
+import { createDrowsinessMonitor, eyeAspectRatio } from "./drowsiness.js";
+import { createFatigueMonitor, mouthAspectRatio } from "./fatigue.js";
+import { estimateHeadPose } from "./headPose.js";
+
+export const DEFAULT_FOCUS_THRESHOLDS = {
+  // the pose that counts as facing the screen; poseThresholds() sets it from the calibration baseline
+  neutralYaw: 0,
+  neutralPitch: 0,
+  // head yaw (degrees either way from neutral) beyond which the head counts as turned away
+  maxYawDeg: 20,
+  // head pitch (degrees from neutral) beyond which the eyes count as looking up or down
+  maxPitchUpDeg: 15,
+  maxPitchDownDeg: 20,
+  // gaze may stray this far (px) past the calibrated bounds and still count as on screen
+  gazeMarginPx: 150,
+  // gaze must stay outside the bounds this long before it counts as off screen
+  offScreenDelayMs: 250,
+  // unfocused this long before it counts as a distraction
+  distractionDelayMs: 2000,
+  // no face this long turns the spell into away time; null never does
+  awayAfterMs: null,
+  // desk modes (see lib/sessionModes.js): the desk pose and gaze below the monitor count as on-task
+  deskMode: false,
+  // the desk pose relative to neutral; poseThresholds() sets it when calibration recorded one
+  deskPitchDeg: -35,
+  deskYawDeg: 0,
+  // a look down to this many degrees below the desk pose counts as working at the desk
+  deskRangeDeg: 15,
+  // at the desk, a head held within frozenRangeDeg this long is a phone-like posture; null never is
+  frozenAfterMs: null,
+  frozenRangeDeg: 3,
+};
+
+// options.mirrored: the landmarks come from a mirrored image (see lib/headPose.js)
+export function classifyPose(landmarks, thresholds = DEFAULT_FOCUS_THRESHOLDS, { mirrored = false } = {}) {
+  const pose = estimateHeadPose(landmarks, { mirrored });
+  // a mesh without the model landmarks reads as facing the screen
+  if (!pose) return { pose: null, headTurned: false, eyesOffScreen: false, eyesPitch: "level", atDesk: false };
+  const pitch = pose.pitch - (thresholds.neutralPitch ?? 0);
+  const yaw = pose.yaw - (thresholds.neutralYaw ?? 0);
+  const eyesPitch = pitch < -thresholds.maxPitchDownDeg ? "down" : pitch > thresholds.maxPitchUpDeg ? "up" : "level";
+  // only a look down can be at the desk, however shallow the desk pose; below it is a lap or a phone
+  const atDesk =
+    Boolean(thresholds.deskMode) &&
+    eyesPitch === "down" &&
+    pitch >= thresholds.deskPitchDeg - thresholds.deskRangeDeg &&
+    Math.abs(yaw - thresholds.deskYawDeg) <= thresholds.maxYawDeg;
+  return {
+    pose,
+    // the notes may sit off to one side, so the desk pose has its own yaw
+    headTurned: !atDesk && Math.abs(yaw) > thresholds.maxYawDeg,
+    eyesOffScreen: !atDesk && eyesPitch !== "level",
+    eyesPitch,
+    atDesk,
+  };
+}
+
+// Whether a gaze point falls inside the calibrated bounds (the viewport when uncalibrated), plus the margin.
+export function isGazeOnScreen(gaze, bounds, viewport, marginPx = DEFAULT_FOCUS_THRESHOLDS.gazeMarginPx) {
+  const num = (v, fallback) => (typeof v === "number" ? v : fallback);
+  const margin = num(bounds?.margin, marginPx);
+  const minX = num(bounds?.minX, 0);
+  const maxX = num(bounds?.maxX, viewport?.width ?? 0);
+  const minY = num(bounds?.minY, 0);
+  const maxY = num(bounds?.maxY, viewport?.height ?? 0);
+  return gaze.x >= minX - margin && gaze.x <= maxX + margin && gaze.y >= minY - margin && gaze.y <= maxY + margin;
+}
+
+// Whether a gaze point falls below the screen (toward the desk) and not off to a side.
+export function isGazeBelowScreen(gaze, bounds, viewport, marginPx = DEFAULT_FOCUS_THRESHOLDS.gazeMarginPx) {
+  const num = (v, fallback) => (typeof v === "number" ? v : fallback);
+  const margin = num(bounds?.margin, marginPx);
+  const minX = num(bounds?.minX, 0);
+  const maxX = num(bounds?.maxX, viewport?.width ?? 0);
+  const maxY = num(bounds?.maxY, viewport?.height ?? 0);
+  return gaze.y > maxY + margin && gaze.x >= minX - margin && gaze.x <= maxX + margin;
+}
+
+const focusPercentOf = (stats) => (stats.totalMs > 0 ? Math.round((stats.focusedMs / stats.totalMs) * 100) : 100);
+
+// options: { thresholds, drowsinessThresholds, fatigueThresholds, gazeBounds,
+// mirrored (landmarks from a mirrored image), resume: { focusedMs, totalMs,
+// distractions, drowsiness, fatigue } }.
+// Every method takes the caller's timestamp t in ms and returns the events it
+// caused, in order (plus the drowsiness and fatigue monitors', see
+// lib/drowsiness.js and lib/fatigue.js):
+//   { type: "start", at, cause }  a distraction began at `at` (when the signals first dropped)
+//   { type: "end", at }           the running distraction ended
+//   { type: "cancel" }            the running distraction was withdrawn (it became away time)
+//   { type: "away", at }          no face for awayAfterMs; away since `at`
+//   { type: "back", at }          the face returned after an away interval
+export function createFocusEngine({
+  thresholds,
+  drowsinessThresholds,
+  fatigueThresholds,
+  gazeBounds = null,
+  mirrored = false,
+  resume = null,
+} = {}) {
+  let config = { ...DEFAULT_FOCUS_THRESHOLDS, ...(thresholds || {}) };
+  let bounds = gazeBounds;
+  // drowsiness is its own state: it never counts as a distraction
+  const drowsiness = createDrowsinessMonitor({ thresholds: drowsinessThresholds, resume: resume?.drowsiness });
+  const fatigue = createFatigueMonitor({ thresholds: fatigueThresholds, resume: resume?.fatigue });
+
+  const signals = {
+    facesCount: 0,
+    headTurned: false,
+    eyesOffScreen: false,
+    eyesPitch: "level",
+    pose: null, // { yaw, pitch, roll } in degrees
+    atDesk: false, // desk modes only: the head is in the desk pose
+    frozen: false, // at the desk and held still for frozenAfterMs
+    offScreen: false,
+    gaze: null,
+  };
+  const stats = {
+    focusedMs: resume?.focusedMs ?? 0,
+    totalMs: resume?.totalMs ?? 0,
+    distractions: resume?.distractions ?? 0,
+  };
+
+  let lastT = null;
+  let lastOnScreenAt = null;
+  let paused = false; // manual pause
+  let onBreak = false; // Pomodoro break
+  let away = false;
+  let focused = true; // debounced: false only once a distraction has been counted
+  let unfocusedSince = null;
+  // current no-face spell, rolled back if it turns into an away interval
+  let noFace = null;
+  // pose range since the head last moved while at the desk: { since, minYaw, maxYaw, minPitch, maxPitch }
+  let still = null;
+
+  const trackingOff = () => paused || onBreak || away;
+  // gaze estimates are unreliable while looking down at the desk, so they only count at the screen
+  const rawFocused = () =>
+    signals.facesCount === 1 &&
+    (!signals.offScreen || signals.atDesk) &&
+    !signals.headTurned &&
+    !signals.eyesOffScreen &&
+    !signals.frozen;
+
+  function trackStillness(t) {
+    const pose = signals.pose;
+    if (!signals.atDesk || !pose || config.frozenAfterMs == null) {
+      still = null;
+      signals.frozen = false;
+      return;
+    }
+    const moved =
+      still &&
+      (Math.max(still.maxYaw, pose.yaw) - Math.min(still.minYaw, pose.yaw) > config.frozenRangeDeg ||
+        Math.max(still.maxPitch, pose.pitch) - Math.min(still.minPitch, pose.pitch) > config.frozenRangeDeg);
+    if (!still || moved) {
+      still = { since: t, minYaw: pose.yaw, maxYaw: pose.yaw, minPitch: pose.pitch, maxPitch: pose.pitch };
+    } else {
+      still.minYaw = Math.min(still.minYaw, pose.yaw);
+      still.maxYaw = Math.max(still.maxYaw, pose.yaw);
+      still.minPitch = Math.min(still.minPitch, pose.pitch);
+      still.maxPitch = Math.max(still.maxPitch, pose.pitch);
+    }
+    signals.frozen = t - still.since >= config.frozenAfterMs;
+  }
+
+  // credit the time since the last sample to the state that held during it
+  function advance(t) {
+    if (lastT != null && t > lastT && !trackingOff()) {
+      const dt = t - lastT;
+      stats.totalMs += dt;
+      if (focused) stats.focusedMs += dt;
+    }
+    if (lastT == null || t > lastT) lastT = t;
+  }
+
+  // a distraction must not span a pause, break or away interval
+  function stopTracking(t, events) {
+    if (!focused) events.push({ type: "end", at: t });
+    events.push(...drowsiness.reset(t), ...fatigue.reset(t));
+    focused = true;
+    unfocusedSince = null;
+    noFace = null;
+    still = null;
+    signals.frozen = false;
+  }
+
+  function evaluate(t, events) {
+    if (trackingOff()) {
+      // while away only the face coming back matters
+      if (away && !paused && signals.facesCount > 0) {
+        away = false;
+        events.push({ type: "back", at: t });
+      } else {
+        return;
+      }
+    }
+
+    if (signals.facesCount === 0 && noFace == null) {
+      noFace = { at: t, focusedMs: stats.focusedMs, totalMs: stats.totalMs, distractionStarted: false };
+    } else if (signals.facesCount > 0) {
+      noFace = null;
+    }
+
+    if (!rawFocused()) {
+      if (unfocusedSince == null) unfocusedSince = t;
+      if (focused && t - unfocusedSince > config.distractionDelayMs) {
+        // the distraction began when the signals first dropped, not when the delay passed
+        if (noFace && unfocusedSince >= noFace.at) noFace.distractionStarted = true;
+        stats.distractions += 1;
+        events.push({ type: "start", at: unfocusedSince, cause: classifyDistraction(signals) });
+        focused = false;
+      }
+    } else {
+      if (!focused) events.push({ type: "end", at: t });
+      unfocusedSince = null;
+      focused = true;
+    }
+
+    // the whole no-face spell counts as away time, not distracted time
+    if (noFace && config.awayAfterMs != null && t - noFace.at >= config.awayAfterMs) {
+      const lost = noFace;
+      stats.focusedMs = lost.focusedMs;
+      stats.totalMs = lost.totalMs;
+      if (lost.distractionStarted) {
+        stats.distractions = Math.max(0, stats.distractions - 1);
+        events.push({ type: "cancel" });
+      } else if (!focused) {
+        events.push({ type: "end", at: lost.at });
+      }
+      focused = true;
+      unfocusedSince = null;
+      noFace = null;
+      away = true;
+      events.push(...drowsiness.reset(t), ...fatigue.reset(t), { type: "away", at: lost.at });
+    }
+  }
+
+  return {
+    // sample: { t, facesCount?, landmarks?, gaze?, viewport? }. Landmarks (the
+    // first face's [x, y, z] points) update the pose, gaze ({ x, y } or null)
+    // the off-screen state; a sample with neither just advances the clock.
+    sample({ t, facesCount, landmarks, gaze, viewport }) {
+      const events = [];
+      advance(t);
+      if (facesCount !== undefined) signals.facesCount = facesCount;
+      if (landmarks?.length) {
+        Object.assign(signals, classifyPose(landmarks, config, { mirrored }));
+        trackStillness(t);
+      }
+      // eyes and mouth are watched on frames only; ticks and gaze points carry no face
+      if (!trackingOff() && facesCount !== undefined) {
+        const face = facesCount === 1 && landmarks?.length ? landmarks : null;
+        // looking down at the desk narrows the eyes, which would read as them closing
+        events.push(...drowsiness.sample(t, face && !signals.atDesk ? eyeAspectRatio(face) : null));
+        events.push(
+          ...fatigue.sample(t, {
+            mar: face && mouthAspectRatio(face),
+            blinkRate: drowsiness.snapshot().blinkRate,
+            // looking down at the desk is not a drooping head
+            pitch: face && !signals.atDesk ? signals.pose?.pitch : null,
+          })
+        );
+      }
+      if (gaze !== undefined) {
+        signals.gaze = gaze;
+        if (lastOnScreenAt == null) lastOnScreenAt = t;
+        if (gaze && isGazeOnScreen(gaze, bounds, viewport, config.gazeMarginPx)) lastOnScreenAt = t;
+        // in the desk modes a look below the monitor is a look at the notes
+        if (gaze && config.deskMode && isGazeBelowScreen(gaze, bounds, viewport, config.gazeMarginPx)) lastOnScreenAt = t;
+        signals.offScreen = t - lastOnScreenAt > config.offScreenDelayMs;
+      }
+      evaluate(t, events);
+      return events;
+    },
+
+    // a manual pause stops tracking and ends an away interval without a "back"
+    setPaused(value, t) {
+      const events = [];
+      advance(t);
+      if (value && !paused) {
+        if (!trackingOff()) stopTracking(t, events);
+        away = false;
+        signals.offScreen = false;
+        signals.gaze = null;
+      }
+      paused = value;
+      evaluate(t, events);
+      return events;
+    },
+
+    setBreak(value, t) {
+      const events = [];
+      advance(t);
+      if (value && !trackingOff()) stopTracking(t, events);
+      onBreak = value;
+      evaluate(t, events);
+      return events;
+    },
+
+    configure({
+      thresholds: next,
+      drowsinessThresholds: nextDrowsiness,
+      fatigueThresholds: nextFatigue,
+      gazeBounds: nextBounds,
+    } = {}) {
+      if (next) config = { ...config, ...next };
+      if (nextDrowsiness) drowsiness.configure(nextDrowsiness);
+      if (nextFatigue) fatigue.configure(nextFatigue);
+      if (nextBounds !== undefined) bounds = nextBounds;
+    },
+
+    snapshot() {
+      return {
+        focused,
+        away,
+        trackingOff: trackingOff(),
+        signals: { ...signals },
+        stats: { ...stats, focusPercent: focusPercentOf(stats) },
+        drowsiness: drowsiness.snapshot(),
+        fatigue: fatigue.snapshot(),
+      };
+    },
+  };
+}
@@ -0,0 +1,297 @@
+// src/lib/focusEngine.test.js
+// Headless checks of the focus engine: synthetic face meshes and timestamps, no camera. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { classifyPose, createFocusEngine, isGazeOnScreen } from "./focusEngine.js";
+
+// The head model from lib/headPose.js, turned to a pose and projected into a 640x480 image,
+// with eyelids and lips open to the given eye (lib/drowsiness.js) and mouth (lib/fatigue.js)
+// aspect ratios.
+const MODEL = {
+  1: [0, 0, 0],
+  152: [0, -330, -65],
+  33: [-225, 170, -135],
+  263: [225, 170, -135],
+  61: [-150, -150, -125],
+  291: [150, -150, -125],
+};
+const RAD = Math.PI / 180;
+
+// Sets a feature `width` px wide from the anchor corner, its lid pairs `ratio` times as far apart.
+function openFeature(points, anchor, corner, pairs, width, ratio) {
+  const [x, y] = points[anchor];
+  points[corner] = [x + width, y, 0];
+  pairs.forEach(([upper, lower], i) => {
+    const px = x + (width * (i + 1)) / (pairs.length + 1);
+    points[upper] = [px, y - (ratio * Math.abs(width)) / 2, 0];
+    points[lower] = [px, y + (ratio * Math.abs(width)) / 2, 0];
+  });
+}
+
+function face({ yaw = 0, pitch = 0, mirrored = false, eyes = 0.3, mouth = 0.1 } = {}) {
+  const [cy, sy] = [Math.cos(yaw * RAD), Math.sin(yaw * RAD)];
+  const [cp, sp] = [Math.cos(pitch * RAD), Math.sin(pitch * RAD)];
+  const points = Array.from({ length: 468 }, () => [320, 240, 0]);
+  for (const [index, [x, y, z]] of Object.entries(MODEL)) {
+    // pitch about x, then yaw about y
+    const [px, py, pz] = [x, y * cp + z * sp, -y * sp + z * cp];
+    const [rx, ry, rz] = [px * cy + pz * sy, py, -px * sy + pz * cy];
+    const imageX = 320 + rx * 0.4;
+    points[index] = [mirrored ? 640 - imageX : imageX, 240 - ry * 0.4, -rz * 0.4];
+  }
+  openFeature(points, 33, 133, [[160, 144], [158, 153]], 40, eyes);
+  openFeature(points, 263, 362, [[385, 380], [387, 373]], -40, eyes);
+  points[78] = [290, 300, 0];
+  openFeature(points, 78, 308, [[82, 87], [13, 14], [312, 317]], 60, mouth);
+  return points;
+}
+
+// the drowsiness and fatigue events are checked on their own at the end
+const FOCUS_EVENTS = new Set(["start", "end", "cancel", "away", "back"]);
+const focusEvents = (events) => events.filter((e) => FOCUS_EVENTS.has(e.type));
+
+describe("classifyPose", () => {
+  it("reads a frontal face as facing the screen", () => {
+    const result = classifyPose(face());
+    assert.equal(result.headTurned, false);
+    assert.equal(result.eyesPitch, "level");
+    assert.equal(result.eyesOffScreen, false);
+  });
+
+  it("flags yaw past maxYawDeg either way", () => {
+    assert.equal(classifyPose(face({ yaw: 15 })).headTurned, false);
+    assert.equal(classifyPose(face({ yaw: 25 })).headTurned, true);
+    assert.equal(classifyPose(face({ yaw: -25 })).headTurned, true);
+  });
+
+  it("flags pitch past the up and down limits", () => {
+    assert.equal(classifyPose(face({ pitch: -15 })).eyesPitch, "level");
+    assert.equal(classifyPose(face({ pitch: -25 })).eyesPitch, "down");
+    assert.equal(classifyPose(face({ pitch: 20 })).eyesPitch, "up");
+    assert.equal(classifyPose(face({ pitch: 20 })).eyesOffScreen, true);
+  });
+
+  it("measures from the neutral pose", () => {
+    const thresholds = { maxYawDeg: 20, maxPitchUpDeg: 15, maxPitchDownDeg: 20, neutralYaw: 25, neutralPitch: -20 };
+    const result = classifyPose(face({ yaw: 30, pitch: -30 }), thresholds);
+    assert.equal(result.headTurned, false);
+    assert.equal(result.eyesPitch, "level");
+  });
+
+  it("reads a mirrored mesh in the same frame as an unmirrored one", () => {
+    const pose = classifyPose(face({ yaw: 15, pitch: -10 })).pose;
+    const mirrored = classifyPose(face({ yaw: 15, pitch: -10, mirrored: true }), undefined, { mirrored: true }).pose;
+    assert.ok(Math.abs(pose.yaw - mirrored.yaw) < 0.5);
+    assert.ok(Math.abs(pose.pitch - mirrored.pitch) < 0.5);
+  });
+});
+
+describe("isGazeOnScreen", () => {
+  const viewport = { width: 1000, height: 800 };
+
+  it("falls back to the viewport and allows the margin", () => {
+    assert.equal(isGazeOnScreen({ x: 1100, y: 400 }, null, viewport), true);
+    assert.equal(isGazeOnScreen({ x: 1200, y: 400 }, null, viewport), false);
+  });
+
+  it("uses calibrated bounds and their margin", () => {
+    const bounds = { minX: 100, maxX: 500, minY: 100, maxY: 400, margin: 50 };
+    assert.equal(isGazeOnScreen({ x: 540, y: 200 }, bounds, viewport), true);
+    assert.equal(isGazeOnScreen({ x: 600, y: 200 }, bounds, viewport), false);
+  });
+});
+
+describe("createFocusEngine", () => {
+  it("starts a distraction once the delay has passed, dated from when focus dropped", () => {
+    const engine = createFocusEngine({ thresholds: { distractionDelayMs: 1000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    assert.deepEqual(focusEvents(engine.sample({ t: 500, facesCount: 0 })), []);
+    assert.deepEqual(focusEvents(engine.sample({ t: 1500 })), []);
+    assert.deepEqual(focusEvents(engine.sample({ t: 2000 })), [{ type: "start", at: 500, cause: "noFace" }]);
+    assert.deepEqual(focusEvents(engine.sample({ t: 3000, facesCount: 1, landmarks: face() })), [
+      { type: "end", at: 3000 },
+    ]);
+    const { stats } = engine.snapshot();
+    assert.equal(stats.distractions, 1);
+    assert.equal(stats.totalMs, 3000);
+    // focused until the distraction was counted at 2000
+    assert.equal(stats.focusedMs, 2000);
+  });
+
+  it("does not count a short look away", () => {
+    const engine = createFocusEngine({ thresholds: { distractionDelayMs: 2000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    engine.sample({ t: 500, facesCount: 1, landmarks: face({ yaw: 40 }) });
+    const events = focusEvents(engine.sample({ t: 2000, facesCount: 1, landmarks: face() }));
+    assert.deepEqual(events, []);
+    assert.equal(engine.snapshot().stats.distractions, 0);
+  });
+
+  it("names the cause of the distraction", () => {
+    const engine = createFocusEngine({ thresholds: { distractionDelayMs: 1000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face({ yaw: 40 }) });
+    const events = focusEvents(engine.sample({ t: 1500, facesCount: 1, landmarks: face({ yaw: 40 }) }));
+    assert.deepEqual(events, [{ type: "start", at: 0, cause: "headTurned" }]);
+  });
+
+  it("rolls a no-face spell back into away time and cancels its distraction", () => {
+    const engine = createFocusEngine({ thresholds: { distractionDelayMs: 1000, awayAfterMs: 5000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    engine.sample({ t: 1000, facesCount: 0 });
+    assert.deepEqual(focusEvents(engine.sample({ t: 2500 })), [{ type: "start", at: 1000, cause: "noFace" }]);
+    assert.equal(engine.snapshot().stats.distractions, 1);
+
+    assert.deepEqual(focusEvents(engine.sample({ t: 6000 })), [{ type: "cancel" }, { type: "away", at: 1000 }]);
+    let snapshot = engine.snapshot();
+    assert.equal(snapshot.away, true);
+    assert.deepEqual(
+      { focusedMs: snapshot.stats.focusedMs, totalMs: snapshot.stats.totalMs, distractions: snapshot.stats.distractions },
+      { focusedMs: 1000, totalMs: 1000, distractions: 0 }
+    );
+
+    // nothing accrues while away
+    engine.sample({ t: 9000 });
+    assert.equal(engine.snapshot().stats.totalMs, 1000);
+    assert.deepEqual(focusEvents(engine.sample({ t: 10000, facesCount: 1, landmarks: face() })), [
+      { type: "back", at: 10000 },
+    ]);
+    engine.sample({ t: 11000, facesCount: 1, landmarks: face() });
+    snapshot = engine.snapshot();
+    assert.equal(snapshot.away, false);
+    assert.equal(snapshot.stats.totalMs, 2000);
+    assert.equal(snapshot.stats.focusedMs, 2000);
+  });
+
+  it("ends a focused no-face spell as away time without a distraction", () => {
+    const engine = createFocusEngine({ thresholds: { distractionDelayMs: 10000, awayAfterMs: 3000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    engine.sample({ t: 1000, facesCount: 0 });
+    assert.deepEqual(focusEvents(engine.sample({ t: 4000 })), [{ type: "away", at: 1000 }]);
+    assert.equal(engine.snapshot().stats.distractions, 0);
+  });
+
+  it("stops the accounting while paused and ends an open distraction", () => {
+    const engine = createFocusEngine({ thresholds: { distractionDelayMs: 1000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    engine.sample({ t: 1000, facesCount: 1, landmarks: face({ yaw: 40 }) });
+    engine.sample({ t: 2500, facesCount: 1, landmarks: face({ yaw: 40 }) });
+    assert.deepEqual(focusEvents(engine.setPaused(true, 3000)), [{ type: "end", at: 3000 }]);
+    assert.equal(engine.snapshot().trackingOff, true);
+
+    engine.sample({ t: 10000, facesCount: 1, landmarks: face({ yaw: 40 }) });
+    assert.equal(engine.snapshot().stats.totalMs, 3000);
+    assert.deepEqual(focusEvents(engine.setPaused(false, 20000)), []);
+    engine.sample({ t: 21000, facesCount: 1, landmarks: face() });
+    const { stats } = engine.snapshot();
+    assert.equal(stats.totalMs, 4000);
+    assert.equal(stats.distractions, 1);
+  });
+
+  it("stops the accounting during a break", () => {
+    const engine = createFocusEngine({ thresholds: { distractionDelayMs: 1000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    engine.setBreak(true, 1000);
+    // no distraction while on a break, however long the face is gone
+    assert.deepEqual(focusEvents(engine.sample({ t: 5000, facesCount: 0 })), []);
+    engine.setBreak(false, 6000);
+    engine.sample({ t: 7000, facesCount: 1, landmarks: face() });
+    const { stats } = engine.snapshot();
+    assert.equal(stats.totalMs, 2000);
+    assert.equal(stats.focusedMs, 2000);
+    assert.equal(stats.distractions, 0);
+  });
+
+  it("waits offScreenDelayMs before gaze counts as off screen", () => {
+    const viewport = { width: 1000, height: 800 };
+    const engine = createFocusEngine({ thresholds: { offScreenDelayMs: 250, distractionDelayMs: 1000 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    engine.sample({ t: 0, gaze: { x: 500, y: 400 }, viewport });
+    engine.sample({ t: 100, gaze: { x: 2000, y: 400 }, viewport });
+    engine.sample({ t: 200, gaze: { x: 2000, y: 400 }, viewport });
+    assert.equal(engine.snapshot().signals.offScreen, false);
+    engine.sample({ t: 300, gaze: { x: 2000, y: 400 }, viewport });
+    assert.equal(engine.snapshot().signals.offScreen, true);
+    engine.sample({ t: 400, gaze: { x: 500, y: 400 }, viewport });
+    assert.equal(engine.snapshot().signals.offScreen, false);
+    // no gaze point at all counts as off screen too
+    const events = focusEvents(engine.sample({ t: 1000, gaze: null, viewport }));
+    assert.deepEqual(events, []);
+    assert.deepEqual(focusEvents(engine.sample({ t: 2100, gaze: null, viewport })), [
+      { type: "start", at: 1000, cause: "offScreen" },
+    ]);
+  });
+
+  it("carries on from resumed totals", () => {
+    const engine = createFocusEngine({ resume: { focusedMs: 3000, totalMs: 4000, distractions: 2 } });
+    engine.sample({ t: 0, facesCount: 1, landmarks: face() });
+    engine.sample({ t: 1000, facesCount: 1, landmarks: face() });
+    assert.deepEqual(engine.snapshot().stats, { focusedMs: 4000, totalMs: 5000, distractions: 2, focusPercent: 80 });
+  });
+});
+
+describe("drowsiness and fatigue events", () => {
+  const DROWSY_EVENTS = new Set(["drowsyStart", "drowsyEnd", "microsleep", "yawn"]);
+
+  // one frame every 100 ms from `from` up to `to`, collecting the drowsiness and fatigue events
+  function frames(engine, from, to, pose) {
+    const events = [];
+    for (let t = from; t < to; t += 100) {
+      events.push(...engine.sample({ t, facesCount: 1, landmarks: face(pose) }).filter((e) => DROWSY_EVENTS.has(e.type)));
+    }
+    return events;
+  }
+
+  it("turns drowsy during a microsleep and reports it when the eyes reopen", () => {
+    const engine = createFocusEngine();
+    assert.deepEqual(frames(engine, 0, 1000, {}), []);
+    assert.deepEqual(frames(engine, 1000, 2500, { eyes: 0.05 }), [{ type: "drowsyStart", at: 2000 }]);
+    assert.deepEqual(frames(engine, 2500, 2600, {}), [{ type: "microsleep", at: 1000, durationMs: 1500 }]);
+    assert.equal(engine.snapshot().drowsiness.totals.microsleeps, 1);
+    // a microsleep is not a distraction
+    assert.equal(engine.snapshot().stats.distractions, 0);
+  });
+
+  it("counts short closures as blinks", () => {
+    const engine = createFocusEngine();
+    frames(engine, 0, 1000, {});
+    frames(engine, 1000, 1200, { eyes: 0.05 });
+    assert.deepEqual(frames(engine, 1200, 2000, {}), []);
+    assert.equal(engine.snapshot().drowsiness.totals.blinks, 1);
+  });
+
+  it("does not read eyes narrowed at the desk as closing", () => {
+    const engine = createFocusEngine({ thresholds: { deskMode: true, deskPitchDeg: -35 } });
+    assert.deepEqual(frames(engine, 0, 3000, { pitch: -35, eyes: 0.05 }), []);
+    assert.equal(engine.snapshot().signals.atDesk, true);
+    assert.equal(engine.snapshot().drowsiness.totals.microsleeps, 0);
+  });
+
+  it("reports a yawn once the mouth closes and scores it as fatigue", () => {
+    const engine = createFocusEngine();
+    frames(engine, 0, 1000, {});
+    assert.deepEqual(frames(engine, 1000, 3000, { mouth: 0.7 }), []);
+    assert.deepEqual(frames(engine, 3000, 3100, {}), [{ type: "yawn", at: 1000, durationMs: 2000 }]);
+    const { fatigue } = engine.snapshot();
+    assert.equal(fatigue.recentYawns, 1);
+    assert.ok(fatigue.score > 0);
+  });
+
+  it("takes a short open mouth for speech", () => {
+    const engine = createFocusEngine();
+    frames(engine, 0, 1000, {});
+    frames(engine, 1000, 1500, { mouth: 0.7 });
+    assert.deepEqual(frames(engine, 1500, 2000, {}), []);
+    assert.equal(engine.snapshot().fatigue.recentYawns, 0);
+  });
+
+  it("ends the drowsy state when tracking stops", () => {
+    const engine = createFocusEngine();
+    frames(engine, 0, 1000, {});
+    frames(engine, 1000, 2500, { eyes: 0.05 });
+    assert.deepEqual(
+      engine.setPaused(true, 2500).filter((e) => DROWSY_EVENTS.has(e.type)),
+      [{ type: "drowsyEnd", at: 2500 }]
+    );
+  });
+});
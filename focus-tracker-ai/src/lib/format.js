@@ -0,0 +1,24 @@
+// src/lib/format.js
+// Display helpers shared by the session, profile and results pages.
+
+const pad = (n) => (n < 10 ? "0" + n : String(n));
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+export function formatClock(sec) {
+  const total = Math.max(0, Math.round(sec || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+}
+
+// 75 -> "1m 15s", 3725 -> "1h 2m"
+export function formatDuration(sec) {
+  const total = Math.max(0, Math.round(sec || 0));
+  if (total < 60) return `${total}s`;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+  const seconds = total % 60;
+  return seconds ? `${minutes}m ${seconds}s` : `${minutes}m`;
+}
@@ -0,0 +1,190 @@
+// src/lib/headPose.js
+// Head pose in degrees from the 3D face mesh. A handful of landmarks are fitted
+// to a canonical face model with Horn's closed-form absolute orientation
+// (unit quaternions), so the angles hold up across face shapes, distances and
+// where the face sits in the frame.
+//
+// Angles are in the camera's own, unmirrored frame: positive yaw turns toward the
+// right of the raw camera image, positive pitch looks up and positive roll tilts
+// clockwise in that image. A mesh from a mirrored (selfie) image, like
+// FaceMesh3D's flipHorizontal one, is a reflection of the face rather than a
+// rotation of it, so it must be passed with `mirrored` to be fitted at all; its
+// angles then match those from an unmirrored mesh such as WebGazer's.
+
+import { DEFAULT_FOCUS_THRESHOLDS } from "./focusEngine.js";
+
+// Generic head model (mm, nose tip at the origin; x right, y up, z toward the
+// camera) keyed by face-mesh landmark index.
+const CANONICAL_FACE = [
+  [1, [0, 0, 0]], // nose tip
+  [152, [0, -330, -65]], // chin
+  [33, [-225, 170, -135]], // eye outer corner, image left
+  [263, [225, 170, -135]], // eye outer corner, image right
+  [61, [-150, -150, -125]], // mouth corner, image left
+  [291, [150, -150, -125]], // mouth corner, image right
+];
+
+const DEG = 180 / Math.PI;
+
+function centered(points) {
+  const c = [0, 0, 0];
+  for (const p of points) for (let i = 0; i < 3; i++) c[i] += p[i] / points.length;
+  return points.map((p) => [p[0] - c[0], p[1] - c[1], p[2] - c[2]]);
+}
+
+// Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (cyclic Jacobi).
+function principalEigenvector(matrix) {
+  const a = matrix.map((row) => [...row]);
+  const v = [0, 1, 2, 3].map((i) => [0, 1, 2, 3].map((j) => (i === j ? 1 : 0)));
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 3; p++) for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+    if (off < 1e-18) break;
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  let best = 0;
+  for (let i = 1; i < 4; i++) if (a[i][i] > a[best][best]) best = i;
+  return v.map((row) => row[best]);
+}
+
+// Rotation (as a unit quaternion [w, x, y, z]) that best maps `from` onto `to`.
+function fitRotation(from, to) {
+  const a = centered(from);
+  const b = centered(to);
+  const S = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  for (let n = 0; n < a.length; n++) {
+    for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) S[i][j] += a[n][i] * b[n][j];
+  }
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+  return principalEigenvector([
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+  ]);
+}
+
+function rotate([w, x, y, z], [vx, vy, vz]) {
+  // v + 2w(q x v) + 2q x (q x v)
+  const cx = y * vz - z * vy;
+  const cy = z * vx - x * vz;
+  const cz = x * vy - y * vx;
+  return [
+    vx + 2 * (w * cx + y * cz - z * cy),
+    vy + 2 * (w * cy + z * cx - x * cz),
+    vz + 2 * (w * cz + x * cy - y * cx),
+  ];
+}
+
+// landmarks: face-mesh [x, y, z] points in image pixels (y down, smaller z
+// closer to the camera); mirrored: x runs right to left (a flipped image).
+// Returns { yaw, pitch, roll } in degrees, or null when the mesh lacks the
+// model landmarks.
+export function estimateHeadPose(landmarks, { mirrored = false } = {}) {
+  if (!landmarks || landmarks.length <= 291) return null;
+  const observed = [];
+  for (const [index] of CANONICAL_FACE) {
+    const p = landmarks[index];
+    if (!p || !Number.isFinite(p[0]) || !Number.isFinite(p[1])) return null;
+    // into the model's frame: x to the camera image's right, y up, z toward the camera
+    observed.push([mirrored ? -p[0] : p[0], -p[1], -(p[2] || 0)]);
+  }
+  const q = fitRotation(
+    CANONICAL_FACE.map(([, point]) => point),
+    observed
+  );
+  const forward = rotate(q, [0, 0, 1]);
+  const right = rotate(q, [1, 0, 0]);
+  return {
+    yaw: Math.atan2(forward[0], forward[2]) * DEG,
+    pitch: Math.asin(Math.max(-1, Math.min(1, forward[1]))) * DEG,
+    roll: Math.atan2(-right[1], right[0]) * DEG,
+  };
+}
+
+export const formatAngle = (deg) => (deg == null ? "—" : `${Math.round(deg)}°`);
+
+// ---------- personal baseline ----------
+// GazeCalibrationPage records the pose while the user looks at the screen
+// center (neutral) and at each corner. Focus thresholds are then measured from
+// the neutral pose and widened to the range seen at the corners, so a camera
+// below eye level no longer reads as "looking down" all session. The eyes do
+// most of the moving at the corners and the head barely turns, so a calibrated
+// limit is never tighter than the uncalibrated default. Desk-mode sessions also
+// record the pose while looking down at the notes.
+
+// margin around the range seen during calibration
+const POSE_SLACK_DEG = 8;
+
+// Mean of the poses that were estimated, or null when there were none.
+export function averagePose(poses) {
+  const valid = (poses || []).filter(Boolean);
+  if (!valid.length) return null;
+  const mean = (key) => valid.reduce((sum, p) => sum + p[key], 0) / valid.length;
+  return { yaw: mean("yaw"), pitch: mean("pitch"), roll: mean("roll") };
+}
+
+export function buildPoseBaseline(neutral, cornerPoses, desk = null) {
+  if (!neutral) return null;
+  const seen = [neutral, ...(cornerPoses || []).filter(Boolean)];
+  const yaws = seen.map((p) => p.yaw);
+  const pitches = seen.map((p) => p.pitch);
+  return {
+    neutral,
+    yawMin: Math.min(...yaws),
+    yawMax: Math.max(...yaws),
+    pitchMin: Math.min(...pitches),
+    pitchMax: Math.max(...pitches),
+    desk,
+    capturedAt: new Date().toISOString(),
+  };
+}
+
+// Focus engine thresholds relative to a baseline; none without one.
+export function poseThresholds(baseline) {
+  if (!baseline?.neutral) return {};
+  const { neutral } = baseline;
+  const limit = (key, spread) => Math.max(DEFAULT_FOCUS_THRESHOLDS[key], spread + POSE_SLACK_DEG);
+  return {
+    neutralYaw: neutral.yaw,
+    neutralPitch: neutral.pitch,
+    maxYawDeg: limit("maxYawDeg", Math.max(baseline.yawMax - neutral.yaw, neutral.yaw - baseline.yawMin)),
+    maxPitchUpDeg: limit("maxPitchUpDeg", baseline.pitchMax - neutral.pitch),
+    maxPitchDownDeg: limit("maxPitchDownDeg", neutral.pitch - baseline.pitchMin),
+    // relative to neutral in the camera's frame, which the live (mirrored) pose is read in too
+    ...(baseline.desk && {
+      deskPitchDeg: baseline.desk.pitch - neutral.pitch,
+      deskYawDeg: baseline.desk.yaw - neutral.yaw,
+    }),
+  };
+}
@@ -0,0 +1,33 @@
+// src/lib/headPose.test.js
+// Calibrated pose thresholds. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DEFAULT_FOCUS_THRESHOLDS } from "./focusEngine.js";
+import { buildPoseBaseline, poseThresholds } from "./headPose.js";
+
+const pose = (yaw, pitch) => ({ yaw, pitch, roll: 0 });
+
+describe("poseThresholds", () => {
+  it("never tightens the defaults when the head barely moved at the corners", () => {
+    const baseline = buildPoseBaseline(pose(2, -8), [pose(-1, -6), pose(5, -6), pose(-1, -11), pose(5, -11)]);
+    const thresholds = poseThresholds(baseline);
+    assert.equal(thresholds.maxYawDeg, DEFAULT_FOCUS_THRESHOLDS.maxYawDeg);
+    assert.equal(thresholds.maxPitchUpDeg, DEFAULT_FOCUS_THRESHOLDS.maxPitchUpDeg);
+    assert.equal(thresholds.maxPitchDownDeg, DEFAULT_FOCUS_THRESHOLDS.maxPitchDownDeg);
+    assert.deepEqual([thresholds.neutralYaw, thresholds.neutralPitch], [2, -8]);
+  });
+
+  it("widens past the defaults to a wide corner spread plus slack", () => {
+    const baseline = buildPoseBaseline(pose(0, 0), [pose(-25, 12), pose(18, -20)]);
+    const thresholds = poseThresholds(baseline);
+    assert.equal(thresholds.maxYawDeg, 33);
+    assert.equal(thresholds.maxPitchUpDeg, 20);
+    assert.equal(thresholds.maxPitchDownDeg, 28);
+  });
+
+  it("sets nothing without a neutral pose", () => {
+    assert.deepEqual(poseThresholds(null), {});
+    assert.deepEqual(poseThresholds(buildPoseBaseline(null, [pose(10, 0)])), {});
+  });
+});
@@ -0,0 +1,340 @@
+// src/lib/importer.js
+// Reads exports made by lib/exporter.js (JSON bundle or xlsx workbook) back in,
+// validates them against the stored record schema and plans a merge into the
+// active profile: new records, exact duplicates and conflicting ids.
+
+import * as XLSX from "xlsx";
+import {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  DISTRACTION_COLUMNS,
+  DROWSINESS_COLUMNS,
+  PAUSE_COLUMNS,
+  NOTE_COLUMNS,
+  TASK_COLUMNS,
+  SESSION_COLUMNS,
+  SURVEY_COLUMNS,
+  TIMELINE_COLUMNS,
+} from "./exporter.js";
+import { sessionBlocks } from "./pomodoro.js";
+import {
+  SCHEMA_VERSION,
+  STORES,
+  loadAll,
+  makeId,
+  migrateRecord,
+  saveRecords,
+  withSessionDefaults,
+} from "./storage.js";
+
+// Field types for validation. A trailing "?" marks an optional field.
+const SESSION_SCHEMA = {
+  id: "string",
+  subject: "string",
+  startedAt: "date",
+  endedAt: "date?",
+  durationMinutes: "number?",
+  actualMinutes: "number?",
+  extendedMinutes: "number?",
+  overtimeMinutes: "number?",
+  sessionMode: "string?",
+  focusPercent: "number?",
+  fatigueScore: "number?",
+  distractions: "number?",
+  timeline: "array?",
+  distractionEvents: "array?",
+  pauses: "array?",
+  tasks: "array?",
+  notes: "array?",
+  goalCompletion: "number?",
+  pomodoroBlocks: "array?",
+  drowsinessEvents: "array?",
+  blinkRate: "number?",
+  perclos: "number?",
+  microsleeps: "number?",
+  yawns: "number?",
+  drowsyMinutes: "number?",
+};
+
+const SURVEY_SCHEMA = {
+  id: "string",
+  sessionId: "string",
+  submittedAt: "date?",
+};
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string" && v.length > 0,
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  date: (v) => typeof v === "string" && !Number.isNaN(new Date(v).getTime()),
+  array: (v) => Array.isArray(v),
+};
+
+function validate(record, schema, label) {
+  if (!record || typeof record !== "object") return [`${label}: not an object`];
+  const errors = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = record[field];
+    if (value == null || value === "") {
+      if (!optional) errors.push(`${label}: missing ${field}`);
+    } else if (!TYPE_CHECKS[type](value)) {
+      errors.push(`${label}: ${field} should be a ${type}`);
+    }
+  }
+  return errors;
+}
+
+/* ---------- Readers ---------- */
+
+function parseBundle(bundle) {
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new Error("This JSON file is not a Focus Tracker AI export.");
+  }
+  if (bundle.version > BUNDLE_VERSION || bundle.schemaVersion > SCHEMA_VERSION) {
+    throw new Error("This export was made by a newer version of the app. Update before importing.");
+  }
+  return {
+    source: "json",
+    sessions: Array.isArray(bundle.sessions) ? bundle.sessions : [],
+    surveyResults: Array.isArray(bundle.surveyResults) ? bundle.surveyResults : [],
+    // records without their own schemaVersion are migrated from the bundle's
+    schemaVersion: bundle.schemaVersion ?? 0,
+  };
+}
+
+function fromRow(row, columns) {
+  const record = {};
+  for (const col of columns) {
+    if (col.system || !(col.header in row)) continue;
+    const value = row[col.header];
+    if (value === "" || value == null) continue;
+    record[col.key] = col.parse ? col.parse(value) : value;
+  }
+  return record;
+}
+
+function readSheet(workbook, name, columns) {
+  const sheet = workbook.Sheets[name];
+  if (!sheet) return [];
+  return XLSX.utils.sheet_to_json(sheet, { defval: "" }).map((row) => fromRow(row, columns));
+}
+
+function parseWorkbook(workbook) {
+  if (!workbook.Sheets.Sessions) {
+    throw new Error("This workbook has no Sessions sheet. Only full exports can be imported.");
+  }
+  const about = workbook.Sheets.About ? XLSX.utils.sheet_to_json(workbook.Sheets.About)[0] : null;
+  if (about && about.Format !== BUNDLE_FORMAT) {
+    throw new Error("This workbook is not a Focus Tracker AI export.");
+  }
+  if (about && Number(about["Schema Version"]) > SCHEMA_VERSION) {
+    throw new Error("This export was made by a newer version of the app. Update before importing.");
+  }
+
+  const group = (rows) => {
+    const bySession = new Map();
+    for (const { sessionId, ...rest } of rows) {
+      if (!bySession.has(sessionId)) bySession.set(sessionId, []);
+      bySession.get(sessionId).push(rest);
+    }
+    return bySession;
+  };
+  const events = group(readSheet(workbook, "DistractionEvents", DISTRACTION_COLUMNS));
+  const timeline = group(readSheet(workbook, "Timeline", TIMELINE_COLUMNS));
+  const drowsiness = group(readSheet(workbook, "Drowsiness", DROWSINESS_COLUMNS));
+  const pauses = group(readSheet(workbook, "Pauses", PAUSE_COLUMNS));
+  // blank Done At cells are skipped by fromRow; an open task has doneAt null
+  const notes = group(readSheet(workbook, "Notes", NOTE_COLUMNS).map((n) => ({ text: "", ...n })));
+  const tasks = group(readSheet(workbook, "Tasks", TASK_COLUMNS).map((t) => ({ doneAt: null, ...t })));
+
+  const sessions = readSheet(workbook, "Sessions", SESSION_COLUMNS).map((s) => withSessionDefaults({
+    ...s,
+    subject: s.subject != null ? String(s.subject) : s.subject,
+    distractionEvents: events.get(s.id) || [],
+    drowsinessEvents: drowsiness.get(s.id) || [],
+    pauses: pauses.get(s.id) || [],
+    tasks: tasks.get(s.id) || [],
+    notes: (notes.get(s.id) || []).sort((a, b) => a.t - b.t),
+    timeline: (timeline.get(s.id) || []).sort((a, b) => a.t - b.t),
+  }));
+  // the Block Focus % column is for reading only; rebuild the blocks the way the session did
+  for (const s of sessions) {
+    if (!s.pomodoro || !s.endedAt) continue;
+    const durationSec = Math.max(0, Math.round((new Date(s.endedAt) - new Date(s.startedAt)) / 1000));
+    s.pomodoroBlocks = sessionBlocks(s.pomodoro, s.timeline, s.pauses, durationSec);
+  }
+  return {
+    source: "xlsx",
+    sessions,
+    surveyResults: readSheet(workbook, "SurveyResponses", SURVEY_COLUMNS),
+    // a workbook only holds the exported columns, which match the current schema
+    schemaVersion: SCHEMA_VERSION,
+  };
+}
+
+export async function readImportFile(file) {
+  const name = file.name.toLowerCase();
+  if (name.endsWith(".json")) {
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch {
+      throw new Error("This file is not valid JSON.");
+    }
+    return parseBundle(json);
+  }
+  if (name.endsWith(".xlsx")) {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: "array" });
+    return parseWorkbook(workbook);
+  }
+  throw new Error("Choose a .json bundle or an .xlsx workbook exported from this app.");
+}
+
+/* ---------- Merge planning ---------- */
+
+// Fields that identify "the same study session" regardless of id.
+const sessionFingerprint = (s) => `${new Date(s.startedAt).getTime()}|${s.subject}`;
+
+// Compare on the exported columns only; derived or UI-only fields may differ.
+// Formatted values, so object fields (pomodoro settings) compare by content.
+const cellValue = (record, col) => String((col.format ? col.format(record[col.key]) : record[col.key]) ?? "");
+const sameRecord = (a, b, columns) =>
+  columns.every((col) => col.system || cellValue(a, col) === cellValue(b, col));
+
+export function planImport(incoming, existing) {
+  const errors = [];
+  const plan = { source: incoming.source, sessions: [], surveyResults: [], duplicates: [], conflicts: [], errors };
+
+  const stamp = (r) => ({ ...r, schemaVersion: r.schemaVersion ?? incoming.schemaVersion });
+  const localById = new Map(existing.sessions.map((s) => [s.id, s]));
+  const localFingerprints = new Map(existing.sessions.map((s) => [sessionFingerprint(s), s]));
+  const acceptedIds = new Set();
+  // incoming session id -> local id, for sessions we already have under another id
+  const remap = new Map();
+
+  incoming.sessions.forEach((raw, i) => {
+    const label = `Session ${i + 1}${raw?.subject ? ` (${raw.subject})` : ""}`;
+    const problems = validate(raw, SESSION_SCHEMA, label);
+    if (problems.length) {
+      errors.push(...problems);
+      return;
+    }
+    const record = migrateRecord(STORES.sessions, stamp(raw));
+    const local = localById.get(record.id) || localFingerprints.get(sessionFingerprint(record));
+    if (!local) {
+      plan.sessions.push(record);
+      acceptedIds.add(record.id);
+    } else if (local.id === record.id && !sameRecord(local, record, SESSION_COLUMNS)) {
+      plan.conflicts.push({ kind: "session", label, local, incoming: record });
+    } else {
+      if (local.id !== record.id) remap.set(record.id, local.id);
+      plan.duplicates.push({ kind: "session", label });
+    }
+  });
+
+  const localSurveyIds = new Map(existing.surveyResults.map((r) => [r.id, r]));
+  const knownSessionIds = new Set([...localById.keys(), ...acceptedIds]);
+  for (const c of plan.conflicts) knownSessionIds.add(c.incoming.id);
+
+  incoming.surveyResults.forEach((raw, i) => {
+    const label = `Survey response ${i + 1}`;
+    const problems = validate(raw, SURVEY_SCHEMA, label);
+    if (problems.length) {
+      errors.push(...problems);
+      return;
+    }
+    const sessionId = remap.get(raw.sessionId) ?? raw.sessionId;
+    if (!knownSessionIds.has(sessionId)) {
+      errors.push(`${label}: its session is not in this file or this profile`);
+      return;
+    }
+    const record = migrateRecord(STORES.surveys, stamp({ ...raw, sessionId }));
+    const local = localSurveyIds.get(record.id);
+    if (!local) {
+      plan.surveyResults.push(record);
+    } else if (!sameRecord(local, record, SURVEY_COLUMNS)) {
+      plan.conflicts.push({ kind: "survey", label, local, incoming: record });
+    } else {
+      plan.duplicates.push({ kind: "survey", label });
+    }
+  });
+
+  return plan;
+}
+
+// Ids that already belong to another profile on this machine must not be
+// overwritten, so those records get fresh ids (and surveys follow their session).
+async function reassignForeignIds(sessions, surveys, profileId) {
+  const [allSessions, allSurveys] = await Promise.all([loadAll(STORES.sessions), loadAll(STORES.surveys)]);
+  const foreign = (records) => new Set(records.filter((r) => r.profileId !== profileId).map((r) => r.id));
+  const takenSessions = foreign(allSessions);
+  const takenSurveys = foreign(allSurveys);
+
+  const renamed = new Map();
+  const nextSessions = sessions.map((s) => {
+    if (!takenSessions.has(s.id)) return s;
+    const id = makeId();
+    renamed.set(s.id, id);
+    return { ...s, id };
+  });
+  const nextSurveys = surveys.map((r) => ({
+    ...r,
+    id: takenSurveys.has(r.id) ? makeId() : r.id,
+    sessionId: renamed.get(r.sessionId) ?? r.sessionId,
+  }));
+  return [nextSessions, nextSurveys];
+}
+
+// What a workbook holds of a record: its importable columns, plus the session
+// sheets and the Pomodoro blocks rebuilt from them. Calibration data (gazeBounds,
+// poseBaseline), endsAt and the like are not exported to xlsx.
+const WORKBOOK_FIELDS = {
+  session: [
+    ...SESSION_COLUMNS.filter((c) => !c.system).map((c) => c.key),
+    "distractionEvents",
+    "drowsinessEvents",
+    "pauses",
+    "tasks",
+    "notes",
+    "timeline",
+    "pomodoroBlocks",
+  ],
+  survey: SURVEY_COLUMNS.filter((c) => !c.system).map((c) => c.key),
+};
+
+// A conflict resolved in favour of the import: a JSON bundle carries whole
+// records and replaces the local one, a workbook's columns are copied onto it.
+function importedVersion(conflict, source) {
+  if (source !== "xlsx") return conflict.incoming;
+  const merged = { ...conflict.local };
+  for (const field of WORKBOOK_FIELDS[conflict.kind]) {
+    if (field in conflict.incoming) merged[field] = conflict.incoming[field];
+  }
+  return merged;
+}
+
+// The records an import writes. strategy: "keep-local" skips conflicting
+// records, "use-imported" overwrites them.
+export function recordsToImport(plan, strategy = "keep-local") {
+  const overwrite = strategy === "use-imported" ? plan.conflicts : [];
+  const pick = (kind) => overwrite.filter((c) => c.kind === kind).map((c) => importedVersion(c, plan.source));
+  return {
+    sessions: [...plan.sessions, ...pick("session")],
+    surveyResults: [...plan.surveyResults, ...pick("survey")],
+  };
+}
+
+export async function applyImport(plan, profileId, strategy = "keep-local") {
+  const records = recordsToImport(plan, strategy);
+  const own = (r) => ({ ...r, profileId });
+
+  const [sessions, surveys] = await reassignForeignIds(
+    records.sessions.map(own),
+    records.surveyResults.map(own),
+    profileId
+  );
+  await saveRecords(STORES.sessions, sessions);
+  await saveRecords(STORES.surveys, surveys);
+  return { sessions: sessions.length, surveyResults: surveys.length };
+}
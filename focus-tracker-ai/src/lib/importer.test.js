@@ -0,0 +1,115 @@
+// src/lib/importer.test.js
+// How an import is merged with the profile's history. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { planImport, recordsToImport } from "./importer.js";
+import { SCHEMA_VERSION } from "./storage.js";
+
+const session = (id, subject, startedAt, extra = {}) => ({
+  id,
+  subject,
+  startedAt,
+  focusPercent: 80,
+  schemaVersion: SCHEMA_VERSION,
+  ...extra,
+});
+const survey = (id, sessionId) => ({ id, sessionId, submittedAt: "2026-10-01T10:00:00.000Z" });
+
+const local = {
+  sessions: [session("s1", "Maths", "2026-10-01T09:00:00.000Z"), session("s2", "Physics", "2026-10-02T09:00:00.000Z")],
+  surveyResults: [survey("r1", "s1")],
+};
+
+describe("planImport", () => {
+  it("adds new records and skips exact duplicates", () => {
+    const plan = planImport(
+      {
+        sessions: [local.sessions[0], session("s3", "History", "2026-10-03T09:00:00.000Z")],
+        surveyResults: [survey("r1", "s1"), survey("r3", "s3")],
+        schemaVersion: SCHEMA_VERSION,
+      },
+      local
+    );
+    assert.deepEqual(plan.sessions.map((s) => s.id), ["s3"]);
+    assert.deepEqual(plan.surveyResults.map((r) => r.id), ["r3"]);
+    assert.equal(plan.duplicates.length, 2);
+    assert.deepEqual([plan.conflicts, plan.errors], [[], []]);
+  });
+
+  it("matches a session stored under another id and points its surveys at the local one", () => {
+    const plan = planImport(
+      {
+        sessions: [session("other", "Physics", "2026-10-02T09:00:00.000Z")],
+        surveyResults: [survey("r9", "other")],
+        schemaVersion: SCHEMA_VERSION,
+      },
+      local
+    );
+    assert.deepEqual(plan.sessions, []);
+    assert.equal(plan.duplicates.length, 1);
+    assert.equal(plan.surveyResults[0].sessionId, "s2");
+  });
+
+  it("reports a changed record as a conflict", () => {
+    const changed = { ...local.sessions[0], focusPercent: 55 };
+    const plan = planImport({ sessions: [changed], surveyResults: [], schemaVersion: SCHEMA_VERSION }, local);
+    assert.equal(plan.conflicts.length, 1);
+    assert.equal(plan.conflicts[0].local.focusPercent, 80);
+    assert.equal(plan.conflicts[0].incoming.focusPercent, 55);
+  });
+
+  it("rejects invalid records and surveys of unknown sessions", () => {
+    const plan = planImport(
+      {
+        sessions: [{ id: "bad", subject: "", startedAt: "not a date" }],
+        surveyResults: [survey("r5", "missing")],
+        schemaVersion: SCHEMA_VERSION,
+      },
+      local
+    );
+    assert.deepEqual(plan.sessions, []);
+    assert.equal(plan.errors.length, 3);
+    assert.match(plan.errors[2], /Survey response 1: its session is not in this file/);
+  });
+
+  it("migrates records from an older bundle", () => {
+    const { schemaVersion: _version, ...old } = session("s4", "Chemistry", "2026-10-04T09:00:00.000Z");
+    const plan = planImport({ sessions: [old], surveyResults: [], schemaVersion: 5 }, local);
+    assert.equal(plan.sessions[0].schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(plan.sessions[0].pauses, []);
+    assert.equal(plan.sessions[0].sessionMode, "screen");
+  });
+});
+
+describe("recordsToImport", () => {
+  const calibrated = session("s1", "Maths", "2026-10-01T09:00:00.000Z", {
+    gazeBounds: { minX: 0, maxX: 100, minY: 0, maxY: 80 },
+    poseBaseline: { neutral: { yaw: 0, pitch: -5, roll: 0 } },
+    endsAt: "2026-10-01T10:00:00.000Z",
+  });
+  const changed = { ...session("s1", "Maths", "2026-10-01T09:00:00.000Z"), focusPercent: 55, tasks: [] };
+  const existing = { sessions: [calibrated], surveyResults: [] };
+
+  it("copies a workbook's columns onto the local record", () => {
+    const plan = planImport({ source: "xlsx", sessions: [changed], surveyResults: [], schemaVersion: SCHEMA_VERSION }, existing);
+    const [merged] = recordsToImport(plan, "use-imported").sessions;
+    assert.equal(merged.focusPercent, 55);
+    assert.deepEqual(merged.tasks, []);
+    assert.deepEqual(merged.gazeBounds, calibrated.gazeBounds);
+    assert.deepEqual(merged.poseBaseline, calibrated.poseBaseline);
+    assert.equal(merged.endsAt, calibrated.endsAt);
+  });
+
+  it("replaces the local record with a JSON bundle's", () => {
+    const plan = planImport({ source: "json", sessions: [changed], surveyResults: [], schemaVersion: SCHEMA_VERSION }, existing);
+    const [replaced] = recordsToImport(plan, "use-imported").sessions;
+    assert.equal(replaced.focusPercent, 55);
+    assert.equal(replaced.gazeBounds, undefined);
+  });
+
+  it("leaves conflicts out when keeping the local records", () => {
+    const plan = planImport({ source: "xlsx", sessions: [changed], surveyResults: [], schemaVersion: SCHEMA_VERSION }, existing);
+    assert.deepEqual(recordsToImport(plan, "keep-local"), { sessions: [], surveyResults: [] });
+  });
+});
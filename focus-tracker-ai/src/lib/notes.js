@@ -0,0 +1,19 @@
+// src/lib/notes.js
+// In-session annotations: free-text notes and one-key "mark" markers, stored
+// as { t, kind, text } with t in seconds since the session started so they
+// line up with the focus timeline.
+
+export const NOTE_KINDS = {
+  note: "Note",
+  mark: "Marker",
+};
+
+export function makeNote(t, text, kind = "note") {
+  return { t, kind, text: String(text ?? "").trim() };
+}
+
+export const makeMarker = (t) => makeNote(t, "", "mark");
+
+export function noteLabel(note) {
+  return note.text || NOTE_KINDS[note.kind] || NOTE_KINDS.note;
+}
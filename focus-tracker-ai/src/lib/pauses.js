@@ -0,0 +1,69 @@
+// src/lib/pauses.js
+// Pause intervals of a session, stored like distraction events as
+// { start, duration, reason } in seconds since the session started.
+// duration is null while the pause is still running.
+
+export const PAUSE_REASONS = {
+  manual: "Paused",
+  away: "Away from desk",
+  interrupted: "App closed",
+  recalibrate: "Recalibrating",
+};
+
+// Pass a reason to ask about one kind of pause only.
+export const isPaused = (pauses, reason) =>
+  (pauses || []).some((p) => p.duration == null && (reason == null || p.reason === reason));
+
+export function startPause(pauses, start, reason = "manual") {
+  if (isPaused(pauses)) return pauses;
+  return [...(pauses || []), { start, duration: null, reason }];
+}
+
+// Closes every running pause at endSec.
+export function endPauses(pauses, endSec) {
+  return (pauses || []).map((p) =>
+    p.duration == null ? { ...p, duration: Math.max(0, endSec - p.start) } : p
+  );
+}
+
+// Total seconds per reason, e.g. { manual: 120, away: 300 }, for closed pauses.
+export function pausedSecondsByReason(pauses) {
+  const totals = {};
+  for (const p of pauses || []) {
+    if (p.duration == null) continue;
+    const reason = p.reason || "manual";
+    totals[reason] = (totals[reason] || 0) + p.duration;
+  }
+  return totals;
+}
+
+// Closed pause time per reason that was used, away first and then in PAUSE_REASONS
+// order: [{ reason, label, seconds }].
+export function pauseBreakdown(pauses) {
+  const totals = pausedSecondsByReason(pauses);
+  return ["away", ...Object.keys(PAUSE_REASONS).filter((r) => r !== "away")]
+    .filter((reason) => totals[reason] > 0)
+    .map((reason) => ({ reason, label: PAUSE_REASONS[reason], seconds: totals[reason] }));
+}
+
+// Whether wall-clock second wallSec falls inside a pause; a running one lasts from its start on.
+export const inPause = (pauses, wallSec) =>
+  (pauses || []).some((p) => wallSec >= p.start && (p.duration == null || wallSec < p.start + p.duration));
+
+// Seconds spent paused between the session start and wallSec.
+export function pausedSecondsBefore(pauses, wallSec) {
+  let total = 0;
+  for (const p of pauses || []) {
+    if (p.start >= wallSec) continue;
+    const end = p.duration == null ? wallSec : Math.min(p.start + p.duration, wallSec);
+    total += Math.max(0, end - p.start);
+  }
+  return total;
+}
+
+// Wall-clock offset -> study time actually tracked up to that point.
+export const activeSeconds = (pauses, wallSec) => Math.max(0, wallSec - pausedSecondsBefore(pauses, wallSec));
+
+export function pauseLabel(reason) {
+  return PAUSE_REASONS[reason] || PAUSE_REASONS.manual;
+}
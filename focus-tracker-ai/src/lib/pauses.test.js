@@ -0,0 +1,62 @@
+// src/lib/pauses.test.js
+// Pause intervals and the study time around them. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  activeSeconds,
+  endPauses,
+  inPause,
+  isPaused,
+  pauseBreakdown,
+  pausedSecondsBefore,
+  pausedSecondsByReason,
+  startPause,
+} from "./pauses.js";
+
+describe("pauses", () => {
+  it("runs one pause at a time and closes it", () => {
+    let pauses = startPause([], 60, "away");
+    assert.equal(isPaused(pauses), true);
+    assert.equal(isPaused(pauses, "manual"), false);
+    // a second pause does not start while one runs
+    assert.equal(startPause(pauses, 70), pauses);
+    pauses = endPauses(pauses, 90);
+    assert.deepEqual(pauses, [{ start: 60, duration: 30, reason: "away" }]);
+    assert.equal(isPaused(pauses), false);
+  });
+
+  it("takes paused time out of the study time", () => {
+    const pauses = [
+      { start: 60, duration: 30, reason: "manual" },
+      { start: 200, duration: null, reason: "away" },
+    ];
+    assert.equal(pausedSecondsBefore(pauses, 75), 15);
+    assert.equal(activeSeconds(pauses, 100), 70);
+    // a running pause lasts until the moment asked about
+    assert.equal(activeSeconds(pauses, 260), 170);
+    assert.deepEqual(pausedSecondsByReason(pauses), { manual: 30 });
+  });
+
+  it("tells whether a second falls inside a pause", () => {
+    const pauses = [
+      { start: 60, duration: 30, reason: "manual" },
+      { start: 200, duration: null, reason: "away" },
+    ];
+    assert.deepEqual([59, 60, 89, 90, 500].map((t) => inPause(pauses, t)), [false, true, true, false, true]);
+  });
+
+  it("breaks the time down by reason, away first", () => {
+    const pauses = [
+      { start: 0, duration: 20, reason: "recalibrate" },
+      { start: 30, duration: 40, reason: "manual" },
+      { start: 100, duration: 10, reason: "away" },
+      { start: 120, duration: 5 },
+    ];
+    assert.deepEqual(pauseBreakdown(pauses), [
+      { reason: "away", label: "Away from desk", seconds: 10 },
+      { reason: "manual", label: "Paused", seconds: 45 },
+      { reason: "recalibrate", label: "Recalibrating", seconds: 20 },
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+// src/lib/pomodoro.js
+// Pomodoro schedule maths. The schedule is a pure function of the settings and
+// the elapsed session time, so SessionPage, FaceMesh3D and the saved report
+// all agree on which block a given second belongs to.
+
+import { activeSeconds, inPause } from "./pauses.js";
+
+export const DEFAULT_POMODORO = {
+  workMinutes: 25,
+  breakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesBeforeLongBreak: 4,
+};
+
+export const PHASE_LABELS = {
+  work: "Work",
+  break: "Short break",
+  longBreak: "Long break",
+};
+
+export function normalizePomodoro(settings) {
+  const num = (v, fallback, min) => {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) && n >= min ? n : fallback;
+  };
+  return {
+    workMinutes: num(settings?.workMinutes, DEFAULT_POMODORO.workMinutes, 1),
+    breakMinutes: num(settings?.breakMinutes, DEFAULT_POMODORO.breakMinutes, 1),
+    longBreakMinutes: num(settings?.longBreakMinutes, DEFAULT_POMODORO.longBreakMinutes, 1),
+    cyclesBeforeLongBreak: num(settings?.cyclesBeforeLongBreak, DEFAULT_POMODORO.cyclesBeforeLongBreak, 1),
+  };
+}
+
+// Phase containing elapsedSec: { kind, cycle, start, end } in session seconds.
+// cycle counts work blocks from 1; a break shares the number of the block before it.
+export function phaseAt(settings, elapsedSec) {
+  const work = settings.workMinutes * 60;
+  const shortBreak = settings.breakMinutes * 60;
+  const longBreak = settings.longBreakMinutes * 60;
+  const n = settings.cyclesBeforeLongBreak;
+  // one round is n work blocks, n - 1 short breaks and a closing long break
+  const roundLength = n * work + (n - 1) * shortBreak + longBreak;
+
+  const elapsed = Math.max(0, elapsedSec);
+  const round = Math.floor(elapsed / roundLength);
+  let offset = round * roundLength;
+  for (let i = 0; i < n; i++) {
+    const cycle = round * n + i + 1;
+    if (elapsed < offset + work) return { kind: "work", cycle, start: offset, end: offset + work };
+    offset += work;
+    const isLong = i === n - 1;
+    const length = isLong ? longBreak : shortBreak;
+    if (elapsed < offset + length) {
+      return { kind: isLong ? "longBreak" : "break", cycle, start: offset, end: offset + length };
+    }
+    offset += length;
+  }
+  // unreachable: the loop covers the whole round
+  return { kind: "work", cycle: (round + 1) * n + 1, start: offset, end: offset + work };
+}
+
+export const isBreak = (phase) => phase?.kind === "break" || phase?.kind === "longBreak";
+
+// Every block that started before durationSec, clipped to the session end,
+// with focus % for work blocks from the per-second timeline.
+export function summarizeBlocks(settings, timeline, durationSec) {
+  const blocks = [];
+  let t = 0;
+  while (t < durationSec) {
+    const phase = phaseAt(settings, t);
+    const end = Math.min(phase.end, durationSec);
+    const block = { kind: phase.kind, cycle: phase.cycle, start: phase.start, end };
+    if (phase.kind === "work") {
+      const samples = (timeline || []).filter((s) => s.t >= phase.start && s.t < end);
+      const focused = samples.filter((s) => s.isFocused).length;
+      block.focusPercent = samples.length ? Math.round((focused / samples.length) * 100) : null;
+    }
+    blocks.push(block);
+    t = phase.end;
+  }
+  return blocks;
+}
+
+// The blocks of a finished session. The schedule runs on study time and the
+// timeline on wall-clock time, so samples are moved past the (closed) pauses
+// first. Samples inside a pause (the lead-up to an away interval, recorded before
+// the absence was detected) are not study time and are left out. Shared by the
+// saved session and the workbook import.
+export function sessionBlocks(settings, timeline, pauses, durationSec) {
+  const studyTimeline = (timeline || [])
+    .filter((s) => !inPause(pauses, s.t))
+    .map((s) => ({ ...s, t: activeSeconds(pauses, s.t) }));
+  return summarizeBlocks(settings, studyTimeline, activeSeconds(pauses, durationSec));
+}
@@ -0,0 +1,52 @@
+// src/lib/pomodoro.test.js
+// Pomodoro schedule and block summaries. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { normalizePomodoro, phaseAt, sessionBlocks } from "./pomodoro.js";
+
+const SHORT = { workMinutes: 1, breakMinutes: 1, longBreakMinutes: 2, cyclesBeforeLongBreak: 2 };
+
+// one sample per second from `from` up to `to`, focused or not
+const samples = (from, to, isFocused) => Array.from({ length: to - from }, (_, i) => ({ t: from + i, isFocused }));
+
+describe("phaseAt", () => {
+  it("walks work blocks and short breaks to a long break, then starts the next round", () => {
+    const at = (sec) => phaseAt(SHORT, sec);
+    assert.deepEqual(at(0), { kind: "work", cycle: 1, start: 0, end: 60 });
+    assert.deepEqual(at(60), { kind: "break", cycle: 1, start: 60, end: 120 });
+    assert.deepEqual(at(150), { kind: "work", cycle: 2, start: 120, end: 180 });
+    assert.deepEqual(at(200), { kind: "longBreak", cycle: 2, start: 180, end: 300 });
+    assert.deepEqual(at(300), { kind: "work", cycle: 3, start: 300, end: 360 });
+  });
+
+  it("fills in defaults for missing or invalid settings", () => {
+    assert.deepEqual(normalizePomodoro({ workMinutes: "50", breakMinutes: 0 }), {
+      workMinutes: 50,
+      breakMinutes: 5,
+      longBreakMinutes: 15,
+      cyclesBeforeLongBreak: 4,
+    });
+  });
+});
+
+describe("sessionBlocks", () => {
+  it("runs the schedule on study time, past a manual pause", () => {
+    // paused from 30 s to 90 s; the first work block then ends at 120 s wall-clock
+    const timeline = [...samples(0, 30, true), ...samples(90, 120, false), ...samples(120, 150, true)];
+    const pauses = [{ start: 30, duration: 60, reason: "manual" }];
+    const blocks = sessionBlocks(SHORT, timeline, pauses, 150);
+    assert.deepEqual(blocks, [
+      { kind: "work", cycle: 1, start: 0, end: 60, focusPercent: 50 },
+      { kind: "break", cycle: 1, start: 60, end: 90 },
+    ]);
+  });
+
+  it("leaves samples inside an away pause out of the block's focus", () => {
+    // focused for 30 s, then 10 s without a face before away was detected, back at 70 s
+    const timeline = [...samples(0, 30, true), ...samples(30, 40, false), ...samples(70, 100, true)];
+    const pauses = [{ start: 30, duration: 40, reason: "away" }];
+    const [work] = sessionBlocks(SHORT, timeline, pauses, 100);
+    assert.deepEqual(work, { kind: "work", cycle: 1, start: 0, end: 60, focusPercent: 100 });
+  });
+});
@@ -0,0 +1,126 @@
+// src/lib/profiles.js
+// Local user profiles. Every session and survey result carries a profileId so
+// several people can share one machine without mixing their history.
+
+import { STORES, getMeta, loadAll, makeId, saveRecord, saveRecords, setMeta } from "./storage.js";
+
+export const DEFAULT_SETTINGS = {
+  wantsBackgroundAudio: true,
+  wantsAlerts: true,
+  awaySeconds: 60,
+  distractionDelaySec: 2,
+  autoEnd: false,
+  usePomodoro: false,
+  pomodoroSettings: null, // normalizePomodoro() fills in the defaults
+  shortcuts: null, // getBindings() fills in the defaults
+  poseBaseline: null, // neutral head pose and range from the last gaze calibration
+  sessionMode: "screen", // see lib/sessionModes.js
+  fatigueBreakLevel: 60, // fatigue score (0-100) that suggests a break; 0 never does
+};
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+export function isLocked(profile) {
+  return Boolean(profile?.pinHash);
+}
+
+export function getSettings(profile) {
+  return { ...DEFAULT_SETTINGS, ...(profile?.settings || {}) };
+}
+
+export function validatePin(pin) {
+  if (!PIN_PATTERN.test(pin)) return "PIN must be 4 to 8 digits.";
+  return null;
+}
+
+async function hashPin(pin, salt) {
+  if (typeof crypto === "undefined" || !crypto.subtle) {
+    throw new Error("PIN lock needs a secure context (https or localhost).");
+  }
+  const bytes = new TextEncoder().encode(`${salt}:${pin}`);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function verifyPin(profile, pin) {
+  if (!isLocked(profile)) return true;
+  return (await hashPin(pin, profile.pinSalt)) === profile.pinHash;
+}
+
+const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+export async function listProfiles() {
+  const profiles = await loadAll(STORES.profiles);
+  return profiles.sort(byCreatedAt);
+}
+
+export async function createProfile({ name, pin }, existing = []) {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error("Enter a name for the profile.");
+  if (existing.some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A profile named "${trimmed}" already exists.`);
+  }
+  const profile = {
+    id: makeId(),
+    name: trimmed,
+    createdAt: new Date().toISOString(),
+    settings: { ...DEFAULT_SETTINGS },
+  };
+  return pin ? setProfilePin(profile, pin) : saveRecord(STORES.profiles, profile);
+}
+
+// Pass an empty pin to remove the lock.
+export async function setProfilePin(profile, pin) {
+  if (!pin) {
+    const { pinHash: _pinHash, pinSalt: _pinSalt, ...unlocked } = profile;
+    return saveRecord(STORES.profiles, unlocked);
+  }
+  const error = validatePin(pin);
+  if (error) throw new Error(error);
+  const pinSalt = makeId();
+  const pinHash = await hashPin(pin, pinSalt);
+  return saveRecord(STORES.profiles, { ...profile, pinSalt, pinHash });
+}
+
+export function updateProfileSettings(profile, patch) {
+  return saveRecord(STORES.profiles, { ...profile, settings: { ...getSettings(profile), ...patch } });
+}
+
+export function getActiveProfileId() {
+  return getMeta("activeProfileId");
+}
+
+export function setActiveProfileId(id) {
+  return setMeta("activeProfileId", id ?? null);
+}
+
+// Builds before profiles stored a single "userName" and un-owned records.
+// Hand that history to a profile so nothing disappears after the upgrade.
+async function adoptLegacyHistory(profiles) {
+  const [sessions, surveys, legacyName] = await Promise.all([
+    loadAll(STORES.sessions),
+    loadAll(STORES.surveys),
+    getMeta("userName"),
+  ]);
+  const orphanSessions = sessions.filter((s) => !s.profileId);
+  const orphanSurveys = surveys.filter((r) => !r.profileId);
+  if (!orphanSessions.length && !orphanSurveys.length && !legacyName) return profiles;
+
+  const name = (legacyName || "").trim() || "Default";
+  let owner = profiles.find((p) => p.name.toLowerCase() === name.toLowerCase());
+  if (!owner) owner = await createProfile({ name }, profiles);
+
+  await saveRecords(STORES.sessions, orphanSessions.map((s) => ({ ...s, profileId: owner.id })));
+  await saveRecords(STORES.surveys, orphanSurveys.map((r) => ({ ...r, profileId: owner.id })));
+  if (legacyName) {
+    await setMeta("userName", null);
+    await setActiveProfileId(owner.id);
+  }
+  return profiles.includes(owner) ? profiles : [...profiles, owner];
+}
+
+export async function loadProfiles() {
+  const profiles = await adoptLegacyHistory(await listProfiles());
+  const activeProfileId = await getActiveProfileId();
+  return { profiles, activeProfileId: activeProfileId || null };
+}
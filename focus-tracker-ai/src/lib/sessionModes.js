@@ -0,0 +1,42 @@
+// src/lib/sessionModes.js
+// Where the work happens during a session. Screen-only sessions count any look
+// down as a distraction. The desk modes count the calibrated desk pose (and
+// gaze below the monitor) as on-task, but a head held still there for too long
+// looks like a phone in hand and is still flagged.
+
+export const SESSION_MODES = [
+  {
+    id: "screen",
+    label: "Screen only",
+    description: "Everything happens on screen; looking down counts as a distraction.",
+    frozenAfterMs: null,
+  },
+  {
+    id: "desk",
+    label: "Paper / desk",
+    description: "Mostly paper or a textbook. Reading a page can keep your head still for a while.",
+    frozenAfterMs: 120000,
+  },
+  {
+    id: "mixed",
+    label: "Mixed",
+    description: "Screen work with notes on the desk. Long still spells looking down are flagged sooner.",
+    frozenAfterMs: 45000,
+  },
+];
+
+export const DEFAULT_SESSION_MODE = "screen";
+
+export function getSessionMode(id) {
+  return SESSION_MODES.find((m) => m.id === id) || SESSION_MODES.find((m) => m.id === DEFAULT_SESSION_MODE);
+}
+
+export const isDeskMode = (id) => getSessionMode(id).id !== "screen";
+
+export const modeLabel = (id) => getSessionMode(id).label;
+
+// Focus engine thresholds for a mode.
+export function modeThresholds(id) {
+  const mode = getSessionMode(id);
+  return { deskMode: mode.id !== "screen", frozenAfterMs: mode.frozenAfterMs };
+}
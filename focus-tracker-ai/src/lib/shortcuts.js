@@ -0,0 +1,71 @@
+// src/lib/shortcuts.js
+// Keyboard shortcuts for SessionPage. A binding is a combo string such as
+// "p" or "shift+e": optional ctrl/alt/shift/meta modifiers, then the key.
+// Custom bindings are saved in the profile settings under `shortcuts`.
+
+export const SHORTCUT_ACTIONS = [
+  { id: "pause", label: "Pause / resume", defaultKey: "p" },
+  { id: "end", label: "End session", defaultKey: "shift+e" },
+  { id: "mute", label: "Mute / unmute background", defaultKey: "b" },
+  { id: "gazeDot", label: "Show / hide gaze dot", defaultKey: "g" },
+  { id: "mesh", label: "Show / hide face mesh", defaultKey: "h" },
+  { id: "mark", label: "Mark this moment", defaultKey: "m" },
+  { id: "recalibrate", label: "Recalibrate gaze", defaultKey: "r" },
+  { id: "help", label: "Show / hide this help", defaultKey: "?" },
+];
+
+const MODIFIERS = ["ctrl", "alt", "shift", "meta"];
+
+// Keys that only ever start a combo, never finish one.
+const MODIFIER_KEYS = new Set(["Control", "Alt", "Shift", "Meta", "AltGraph", "CapsLock"]);
+
+export function defaultBindings() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, a.defaultKey]));
+}
+
+export function getBindings(saved) {
+  return { ...defaultBindings(), ...(saved || {}) };
+}
+
+// Combo string for a keydown event, or null for a bare modifier press.
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.has(e.key)) return null;
+  const key = e.key === " " ? "space" : e.key.toLowerCase();
+  // shift is part of printable symbols like "?", so it only counts for letters and named keys
+  const printableSymbol = key.length === 1 && !/[a-z0-9]/.test(key);
+  const mods = [];
+  if (e.ctrlKey) mods.push("ctrl");
+  if (e.altKey) mods.push("alt");
+  if (e.shiftKey && !printableSymbol) mods.push("shift");
+  if (e.metaKey) mods.push("meta");
+  return [...mods, key].join("+");
+}
+
+export function formatCombo(combo) {
+  if (!combo) return "—";
+  return combo
+    .split("+")
+    .map((part) => (MODIFIERS.includes(part) || part.length > 1 ? part[0].toUpperCase() + part.slice(1) : part.toUpperCase()))
+    .join("+");
+}
+
+// True while focus is somewhere the user types, where shortcuts must stay quiet.
+export function isTypingTarget(target) {
+  if (!target || typeof target.closest !== "function") return false;
+  return Boolean(target.closest("input, textarea, select, [contenteditable=''], [contenteditable='true']"));
+}
+
+export function actionForEvent(bindings, e) {
+  if (isTypingTarget(e.target)) return null;
+  const combo = comboFromEvent(e);
+  if (!combo) return null;
+  return SHORTCUT_ACTIONS.find((a) => bindings[a.id] === combo)?.id ?? null;
+}
+
+// Binds combo to actionId; any other action on the same combo is left unbound.
+export function rebind(bindings, actionId, combo) {
+  const next = { ...bindings };
+  for (const id of Object.keys(next)) if (next[id] === combo) next[id] = null;
+  next[actionId] = combo;
+  return next;
+}
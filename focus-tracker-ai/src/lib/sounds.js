@@ -0,0 +1,51 @@
+// src/lib/sounds.js
+// Short synthesized cues for session transitions. Separate from the
+// distraction beep in FaceMesh3D so cues still play when alerts are off.
+
+let audioCtx = null;
+
+function getContext() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext || null;
+  if (!AudioCtx) return null;
+  if (!audioCtx) audioCtx = new AudioCtx();
+  if (audioCtx.state === "suspended") audioCtx.resume();
+  return audioCtx;
+}
+
+function playTones(freqs, { length = 0.18, gap = 0.06, volume = 0.08, type = "sine" } = {}) {
+  try {
+    const ctx = getContext();
+    if (!ctx) return;
+    const start = ctx.currentTime;
+    freqs.forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = type;
+      osc.frequency.value = freq;
+      gain.gain.value = volume;
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      const at = start + i * (length + gap);
+      osc.start(at);
+      osc.stop(at + length);
+    });
+  } catch (e) {
+    console.warn("Cue failed:", e);
+  }
+}
+
+// rising = back to work, falling = time for a break
+const CUES = {
+  work: [523, 659, 784],
+  break: [784, 659],
+  longBreak: [784, 659, 523],
+  // planned session time is up
+  done: [659, 784, 1047, 784],
+  // eyes closing often or a microsleep: low and insistent, unlike the rest
+  drowsy: [330, 330, 330],
+};
+
+export function playCue(kind) {
+  const freqs = CUES[kind];
+  if (freqs) playTones(freqs);
+}
@@ -0,0 +1,276 @@
+// src/lib/storage.js
+// Local persistence for sessions, survey results and app metadata.
+// IndexedDB is the primary backend. When it is unavailable (private mode,
+// blocked storage, very old browsers) the same API is served from localStorage.
+
+import { DEFAULT_SESSION_MODE } from "./sessionModes.js";
+
+const DB_NAME = "focus-tracker-ai";
+const DB_VERSION = 2;
+const LS_PREFIX = "focus-tracker-ai:";
+
+export const STORES = {
+  profiles: "profiles",
+  sessions: "sessions",
+  surveys: "surveys",
+  meta: "meta",
+};
+
+/* ---------- Record schema + migrations ---------- */
+
+// Bump SCHEMA_VERSION whenever a stored record gains or changes a field and add
+// a step below, so records written by older builds still load.
+export const SCHEMA_VERSION = 7;
+
+// Empty values for the session fields added in v7 (checklists, notes, the
+// drowsiness and fatigue monitors, session modes, Pomodoro blocks). Also applied
+// to workbook rows, where a blank cell leaves the field out.
+export function withSessionDefaults(s) {
+  return {
+    ...s,
+    tasks: Array.isArray(s.tasks) ? s.tasks : [],
+    notes: Array.isArray(s.notes) ? s.notes : [],
+    drowsinessEvents: Array.isArray(s.drowsinessEvents) ? s.drowsinessEvents : [],
+    fatigueScore: s.fatigueScore ?? null,
+    sessionMode: s.sessionMode || DEFAULT_SESSION_MODE,
+    // empty unless the session ran a Pomodoro schedule
+    pomodoroBlocks: Array.isArray(s.pomodoroBlocks) ? s.pomodoroBlocks : [],
+  };
+}
+
+// MIGRATIONS[store][n] upgrades a record from schema version n to n + 1.
+// Missing steps mean "nothing to change for this store".
+const MIGRATIONS = {
+  [STORES.sessions]: {
+    0: (s) => ({ ...s, id: s.id ?? makeId() }),
+    // v2: records belong to a profile; null until claimed by adoptLegacyHistory
+    1: (s) => ({ ...s, profileId: s.profileId ?? null }),
+    // v3: per-second focus samples, see FaceMesh3D onTimelineSample
+    2: (s) => ({ ...s, timeline: Array.isArray(s.timeline) ? s.timeline : [] }),
+    // v4: classified distraction log, see lib/distractions.js
+    3: (s) => ({ ...s, distractionEvents: Array.isArray(s.distractionEvents) ? s.distractionEvents : [] }),
+    // v6: pause intervals, see lib/pauses.js
+    5: (s) => ({ ...s, pauses: Array.isArray(s.pauses) ? s.pauses : [] }),
+    // v7: fields added without a step of their own until now
+    6: withSessionDefaults,
+  },
+  [STORES.surveys]: {
+    0: (r) => {
+      // v0 survey results embedded a full copy of the session
+      const { session, ...rest } = r;
+      return { ...rest, id: r.id ?? makeId(), sessionId: r.sessionId ?? session?.id ?? null };
+    },
+    1: (r) => ({ ...r, profileId: r.profileId ?? null }),
+    // v5: responses name the questionnaire that produced them, see lib/surveySchema.js
+    4: (r) => ({ ...r, surveyId: r.surveyId ?? "session-feedback", surveyVersion: r.surveyVersion ?? 1 }),
+  },
+};
+
+export function makeId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+export function migrateRecord(store, record) {
+  let version = typeof record.schemaVersion === "number" ? record.schemaVersion : 0;
+  if (version >= SCHEMA_VERSION) return record;
+  const steps = MIGRATIONS[store] || {};
+  let next = record;
+  while (version < SCHEMA_VERSION) {
+    if (steps[version]) next = steps[version](next);
+    version += 1;
+  }
+  return { ...next, schemaVersion: SCHEMA_VERSION };
+}
+
+/* ---------- IndexedDB backend ---------- */
+
+function openIndexedDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of Object.values(STORES)) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: "id" });
+        }
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+  });
+}
+
+function indexedDbBackend(db) {
+  // Runs fn inside a transaction and resolves with the last request's result
+  // once the transaction has committed.
+  const run = (store, mode, fn) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const req = fn(tx.objectStore(store));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+  return {
+    kind: "indexeddb",
+    getAll: (store) => run(store, "readonly", (os) => os.getAll()),
+    get: (store, id) => run(store, "readonly", (os) => os.get(id)),
+    put: (store, record) => run(store, "readwrite", (os) => os.put(record)),
+    putMany: (store, records) =>
+      run(store, "readwrite", (os) => {
+        let last = null;
+        for (const r of records) last = os.put(r);
+        return last;
+      }),
+    remove: (store, id) => run(store, "readwrite", (os) => os.delete(id)),
+  };
+}
+
+/* ---------- localStorage backend (fallback) ---------- */
+
+function createMemoryKv() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+  };
+}
+
+function localStorageBackend() {
+  let kv;
+  try {
+    kv = window.localStorage;
+    kv.setItem(LS_PREFIX + "probe", "1");
+  } catch (err) {
+    console.warn("localStorage unavailable, history will not survive a reload", err);
+    kv = createMemoryKv();
+  }
+
+  // Each store is one JSON object keyed by record id.
+  const read = (store) => {
+    try {
+      return JSON.parse(kv.getItem(LS_PREFIX + store)) || {};
+    } catch {
+      return {};
+    }
+  };
+  const write = (store, map) => kv.setItem(LS_PREFIX + store, JSON.stringify(map));
+
+  return {
+    kind: "localStorage",
+    getAll: async (store) => Object.values(read(store)),
+    get: async (store, id) => read(store)[id],
+    put: async (store, record) => {
+      const map = read(store);
+      map[record.id] = record;
+      write(store, map);
+    },
+    putMany: async (store, records) => {
+      const map = read(store);
+      for (const r of records) map[r.id] = r;
+      write(store, map);
+    },
+    remove: async (store, id) => {
+      const map = read(store);
+      delete map[id];
+      write(store, map);
+    },
+  };
+}
+
+let backendPromise = null;
+
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = openIndexedDb()
+      .then(indexedDbBackend)
+      .catch((err) => {
+        console.warn("Falling back to localStorage for persistence", err);
+        return localStorageBackend();
+      });
+  }
+  return backendPromise;
+}
+
+/* ---------- Generic record API ---------- */
+
+export async function loadAll(store) {
+  const backend = await getBackend();
+  const records = (await backend.getAll(store)) || [];
+  const migrated = records.map((r) => migrateRecord(store, r));
+  // write upgraded records back so each migration only runs once
+  const changed = migrated.filter((r, i) => r !== records[i]);
+  if (changed.length) await backend.putMany(store, changed);
+  return migrated;
+}
+
+export async function saveRecord(store, record) {
+  const backend = await getBackend();
+  const stamped = { ...record, id: record.id ?? makeId(), schemaVersion: SCHEMA_VERSION };
+  await backend.put(store, stamped);
+  return stamped;
+}
+
+export async function saveRecords(store, records) {
+  const backend = await getBackend();
+  const stamped = records.map((r) => ({ ...r, id: r.id ?? makeId(), schemaVersion: SCHEMA_VERSION }));
+  if (stamped.length) await backend.putMany(store, stamped);
+  return stamped;
+}
+
+export async function deleteRecord(store, id) {
+  const backend = await getBackend();
+  await backend.remove(store, id);
+}
+
+export async function getMeta(key) {
+  const backend = await getBackend();
+  const entry = await backend.get(STORES.meta, key);
+  return entry ? entry.value : undefined;
+}
+
+export async function setMeta(key, value) {
+  const backend = await getBackend();
+  await backend.put(STORES.meta, { id: key, value });
+}
+
+/* ---------- App-level helpers ---------- */
+
+const byStartedAt = (a, b) => new Date(a.startedAt) - new Date(b.startedAt);
+
+// Survey results are stored with a sessionId; the UI expects the session inline.
+export function attachSessions(surveys, sessions) {
+  const byId = new Map(sessions.map((s) => [s.id, s]));
+  return surveys.map((r) => ({ ...r, session: byId.get(r.sessionId) || r.session || {} }));
+}
+
+export async function loadHistory(profileId) {
+  const [allSessions, allSurveys] = await Promise.all([
+    loadAll(STORES.sessions),
+    loadAll(STORES.surveys),
+  ]);
+  const sessions = allSessions.filter((s) => s.profileId === profileId).sort(byStartedAt);
+  const surveys = allSurveys.filter((r) => r.profileId === profileId);
+  const surveyResults = attachSessions(surveys, sessions).sort(
+    (a, b) => new Date(a.submittedAt || a.session.startedAt) - new Date(b.submittedAt || b.session.startedAt)
+  );
+  return { sessions, surveyResults };
+}
+
+export function saveSession(session) {
+  return saveRecord(STORES.sessions, session);
+}
+
+export function saveSurveyResult(result) {
+  const { session, ...rest } = result;
+  return saveRecord(STORES.surveys, { ...rest, sessionId: rest.sessionId ?? session?.id ?? null });
+}
@@ -0,0 +1,44 @@
+// src/lib/storage.test.js
+// Record migrations. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { SCHEMA_VERSION, STORES, migrateRecord } from "./storage.js";
+
+describe("migrateRecord", () => {
+  it("fills in the session fields added since v6", () => {
+    const record = migrateRecord(STORES.sessions, { id: "a", schemaVersion: 6, pauses: [] });
+    assert.deepEqual(record, {
+      id: "a",
+      schemaVersion: SCHEMA_VERSION,
+      pauses: [],
+      tasks: [],
+      notes: [],
+      drowsinessEvents: [],
+      fatigueScore: null,
+      sessionMode: "screen",
+      pomodoroBlocks: [],
+    });
+  });
+
+  it("keeps fields a record already has", () => {
+    const blocks = [{ kind: "work", cycle: 1, start: 0, end: 1500, focusPercent: 80 }];
+    const record = migrateRecord(STORES.sessions, {
+      id: "b",
+      schemaVersion: 6,
+      sessionMode: "desk",
+      fatigueScore: 42,
+      pomodoroBlocks: blocks,
+    });
+    assert.equal(record.sessionMode, "desk");
+    assert.equal(record.fatigueScore, 42);
+    assert.deepEqual(record.pomodoroBlocks, blocks);
+  });
+
+  it("runs every step for a record without a version", () => {
+    const record = migrateRecord(STORES.sessions, { subject: "Old" });
+    assert.equal(typeof record.id, "string");
+    assert.equal(record.profileId, null);
+    assert.deepEqual([record.timeline, record.pauses, record.tasks], [[], [], []]);
+  });
+});
@@ -0,0 +1,171 @@
+// src/lib/surveySchema.js
+// Declarative post-session questionnaires. SurveyPage, the results page, the
+// statistics panels and the exporter are all generated from these definitions.
+//
+// Question fields:
+//   key          answer field on the stored response
+//   type         "scale" (min..max slider), "select" (options) or "text"
+//   label        prompt shown in the form and on the results page
+//   exportHeader column header in workbook/CSV exports (defaults to label)
+//   default      initial answer
+//   required     answer must be non-empty to submit
+//   showIf       { key, equals } or { key, in: [...] } - only asked when another
+//                answer matches; hidden answers are not stored
+//
+// Never edit a published version in place. Add a new entry with the next
+// version number so stored responses stay tied to the questions they answered.
+
+const SESSION_FEEDBACK_V1 = {
+  id: "session-feedback",
+  version: 1,
+  title: "Session Survey",
+  questions: [
+    { key: "focusLevel", type: "scale", label: "Focus level", exportHeader: "Focus Level", min: 1, max: 5, default: "3", required: true },
+    { key: "distractionFeel", type: "scale", label: "Distraction level", exportHeader: "Distraction Level", min: 1, max: 5, default: "3", required: true },
+    { key: "distractionSource", type: "text", label: "Distraction source", exportHeader: "Distraction Source", default: "" },
+    {
+      key: "meshEffect",
+      type: "select",
+      label: "Face mesh effect",
+      exportHeader: "Mesh Effect",
+      default: "neutral",
+      options: [
+        { value: "more", label: "More focused" },
+        { value: "less", label: "Less focused" },
+        { value: "neutral", label: "No difference" },
+      ],
+    },
+    {
+      key: "meshLookFrequency",
+      type: "select",
+      label: "Looked at mesh",
+      exportHeader: "Looked at Mesh",
+      default: "rarely",
+      options: [
+        { value: "rarely", label: "Rarely" },
+        { value: "sometimes", label: "Sometimes" },
+        { value: "often", label: "Often" },
+      ],
+    },
+    { key: "easeOfUse", type: "scale", label: "Ease of use", exportHeader: "Ease of Use", min: 1, max: 5, default: "4", required: true },
+    { key: "unnecessaryFeatures", type: "text", label: "Unnecessary features", exportHeader: "Unnecessary Features", default: "" },
+    { key: "comfortLevel", type: "scale", label: "Comfort level", exportHeader: "Comfort Level", min: 1, max: 5, default: "3", required: true },
+    {
+      key: "meshStress",
+      type: "select",
+      label: "Mesh caused stress",
+      exportHeader: "Mesh Stress",
+      default: "no",
+      options: [
+        { value: "no", label: "No" },
+        { value: "yes", label: "Yes" },
+      ],
+    },
+    {
+      key: "meshAccuracy",
+      type: "select",
+      label: "Mesh accuracy",
+      exportHeader: "Mesh Accuracy",
+      default: "somewhat",
+      options: [
+        { value: "very", label: "Very accurate" },
+        { value: "somewhat", label: "Somewhat accurate" },
+        { value: "not", label: "Not accurate" },
+      ],
+    },
+    {
+      key: "meshPreference",
+      type: "select",
+      label: "Preferred mesh version",
+      exportHeader: "Mesh Preference",
+      default: "keep",
+      options: [
+        { value: "keep", label: "Keep as is" },
+        { value: "smaller", label: "Smaller" },
+        { value: "optional", label: "Make optional" },
+        { value: "hidden", label: "Hide entirely" },
+      ],
+    },
+  ],
+};
+
+// v2 asks the follow-ups only where they apply: the distraction source once
+// distraction was noticeable, and what stressed someone about the mesh.
+const SESSION_FEEDBACK_V2 = {
+  ...SESSION_FEEDBACK_V1,
+  version: 2,
+  questions: SESSION_FEEDBACK_V1.questions.flatMap((q) => {
+    if (q.key === "distractionSource") return [{ ...q, showIf: { key: "distractionFeel", in: ["3", "4", "5"] } }];
+    if (q.key === "meshStress") {
+      return [
+        q,
+        {
+          key: "meshStressReason",
+          type: "text",
+          label: "What about the mesh caused stress?",
+          exportHeader: "Mesh Stress Reason",
+          default: "",
+          showIf: { key: "meshStress", equals: "yes" },
+        },
+      ];
+    }
+    return [q];
+  }),
+};
+
+// Oldest first; the last entry is the questionnaire SurveyPage asks now.
+export const SURVEY_DEFINITIONS = [SESSION_FEEDBACK_V1, SESSION_FEEDBACK_V2];
+
+export const CURRENT_SURVEY = SURVEY_DEFINITIONS[SURVEY_DEFINITIONS.length - 1];
+
+export function getSurveyDefinition(id, version) {
+  return SURVEY_DEFINITIONS.find((d) => d.id === id && d.version === version) || CURRENT_SURVEY;
+}
+
+// Every question ever asked, first definition wins per key. Used where
+// responses from several versions are shown together (stats, exports).
+export function allQuestions() {
+  const seen = new Map();
+  for (const d of SURVEY_DEFINITIONS) {
+    for (const q of d.questions) if (!seen.has(q.key)) seen.set(q.key, q);
+  }
+  return [...seen.values()];
+}
+
+export function isVisible(question, answers) {
+  const rule = question.showIf;
+  if (!rule) return true;
+  const value = answers[rule.key];
+  if (Array.isArray(rule.in)) return rule.in.includes(value);
+  return value === rule.equals;
+}
+
+export function initialAnswers(definition) {
+  return Object.fromEntries(definition.questions.map((q) => [q.key, q.default ?? ""]));
+}
+
+// Returns { key: message } for every visible required question left empty.
+export function validateAnswers(definition, answers) {
+  const errors = {};
+  for (const q of definition.questions) {
+    if (!q.required || !isVisible(q, answers)) continue;
+    const value = answers[q.key];
+    if (value == null || String(value).trim() === "") errors[q.key] = "This question is required.";
+  }
+  return errors;
+}
+
+// Answers for the questions the participant actually saw.
+export function visibleAnswers(definition, answers) {
+  return Object.fromEntries(
+    definition.questions.filter((q) => isVisible(q, answers)).map((q) => [q.key, answers[q.key]])
+  );
+}
+
+export function formatAnswer(question, value) {
+  if (value == null || value === "") return "";
+  if (question.type === "select") {
+    return question.options.find((o) => o.value === value)?.label ?? String(value);
+  }
+  return String(value);
+}
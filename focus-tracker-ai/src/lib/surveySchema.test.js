@@ -0,0 +1,30 @@
+// src/lib/surveySchema.test.js
+// Conditional (showIf) questions of the shipped survey definitions. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CURRENT_SURVEY, initialAnswers, isVisible, validateAnswers, visibleAnswers } from "./surveySchema.js";
+
+const question = (key) => CURRENT_SURVEY.questions.find((q) => q.key === key);
+
+describe("showIf", () => {
+  it("asks the mesh stress follow-up only after a yes", () => {
+    const answers = initialAnswers(CURRENT_SURVEY);
+    assert.equal(isVisible(question("meshStressReason"), answers), false);
+    assert.equal(isVisible(question("meshStressReason"), { ...answers, meshStress: "yes" }), true);
+  });
+
+  it("matches a list of values with `in`", () => {
+    const answers = initialAnswers(CURRENT_SURVEY);
+    assert.equal(isVisible(question("distractionSource"), { ...answers, distractionFeel: "2" }), false);
+    assert.equal(isVisible(question("distractionSource"), { ...answers, distractionFeel: "4" }), true);
+  });
+
+  it("stores and validates only the questions that were shown", () => {
+    const answers = { ...initialAnswers(CURRENT_SURVEY), distractionFeel: "1", distractionSource: "phone" };
+    const stored = visibleAnswers(CURRENT_SURVEY, answers);
+    assert.equal("distractionSource" in stored, false);
+    assert.equal("meshStressReason" in stored, false);
+    assert.deepEqual(validateAnswers(CURRENT_SURVEY, answers), {});
+  });
+});
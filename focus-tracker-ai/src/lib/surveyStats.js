@@ -0,0 +1,94 @@
+// src/lib/surveyStats.js
+// Summary statistics for the Survey Results page: scale distributions, option
+// counts, and how self-reported focus lines up with measured focus.
+
+import { allQuestions } from "./surveySchema.js";
+
+export const SCALE_QUESTIONS = allQuestions().filter((q) => q.type === "scale");
+export const CHOICE_QUESTIONS = allQuestions().filter((q) => q.type === "select");
+
+// Survey answers are stored as strings ("3"); imports may hand back numbers.
+const toScale = (v, min = 1, max = 5) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+const round = (v, digits = 2) => (v == null ? null : Math.round(v * 10 ** digits) / 10 ** digits);
+
+export function scaleSummary(results, question) {
+  const { key, min, max } = question;
+  const values = results.map((r) => toScale(r[key], min, max)).filter((v) => v != null);
+  const distribution = new Array(max - min + 1).fill(0);
+  for (const v of values) distribution[v - min] += 1;
+  const mean = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  return { n: values.length, mean: round(mean), distribution };
+}
+
+export function choiceCounts(results, question) {
+  const counts = new Map(question.options.map((o) => [o.value, 0]));
+  for (const r of results) {
+    const value = r[question.key];
+    if (value == null || value === "") continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].map(([value, count]) => ({
+    value,
+    label: question.options.find((o) => o.value === value)?.label ?? value,
+    count,
+  }));
+}
+
+// Pearson correlation coefficient; null when undefined (n < 3 or no variance).
+export function pearson(points) {
+  const n = points.length;
+  if (n < 3) return null;
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// Least-squares line y = slope * x + intercept.
+export function linearFit(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (const { x, y } of points) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: my - slope * mx };
+}
+
+// Self-reported focus (1-5) against the system's focusPercent for each response.
+export function focusAgreement(results) {
+  const points = results
+    .map((r) => ({
+      x: r.session?.focusPercent,
+      y: toScale(r.focusLevel),
+      label: r.session?.subject || "Session",
+    }))
+    .filter((p) => typeof p.x === "number" && p.y != null);
+  return { points, r: round(pearson(points)), fit: linearFit(points) };
+}
+
+export function describeCorrelation(r) {
+  if (r == null) return "Not enough data";
+  const size = Math.abs(r);
+  const strength = size >= 0.7 ? "strong" : size >= 0.4 ? "moderate" : size >= 0.2 ? "weak" : "no clear";
+  if (strength === "no clear") return "No clear relationship";
+  return `${strength[0].toUpperCase() + strength.slice(1)} ${r > 0 ? "positive" : "negative"} relationship`;
+}
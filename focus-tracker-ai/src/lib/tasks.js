@@ -0,0 +1,33 @@
+// src/lib/tasks.js
+// Session goals as a checklist. Tasks are { id, text, doneAt } where doneAt is
+// seconds since the session started (like distraction events), null while open.
+
+import { makeId } from "./storage.js";
+
+export function makeTask(text) {
+  return { id: makeId(), text: text.trim(), doneAt: null };
+}
+
+// Older sessions and templates only have a free-text goal: one task per line.
+export function tasksFromGoal(goal) {
+  return String(goal || "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim())
+    .filter(Boolean)
+    .map(makeTask);
+}
+
+// The plain goal string stored beside the checklist, for lists and exports.
+export const goalFromTasks = (tasks) => (tasks || []).map((t) => t.text).join("; ");
+
+export function toggleTask(tasks, id, atSec) {
+  return tasks.map((t) => (t.id === id ? { ...t, doneAt: t.doneAt == null ? atSec : null } : t));
+}
+
+export const countDone = (tasks) => (tasks || []).filter((t) => t.doneAt != null).length;
+
+// Percent of tasks ticked off, or null for a session without a checklist.
+export function goalCompletion(tasks) {
+  if (!tasks?.length) return null;
+  return Math.round((countDone(tasks) / tasks.length) * 100);
+}
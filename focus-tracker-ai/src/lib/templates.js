@@ -0,0 +1,91 @@
+// src/lib/templates.js
+// Named session templates, saved on the profile record. A template holds the
+// same fields PreSessionForm hands to onStart, so it can prefill the form or
+// start a session straight from HomePage. A template saved from "until 17:30"
+// keeps that clock time (endsAtTime) and counts the minutes again on each use.
+
+import { makeId, saveRecord, STORES } from "./storage.js";
+import { clockTime, DEFAULT_DURATION_MINUTES, parseDuration } from "./duration.js";
+import { normalizePomodoro } from "./pomodoro.js";
+
+// what PreSessionForm puts in a field left blank
+export const UNTITLED_SUBJECT = "Untitled session";
+export const NO_GOAL = "No specific goal";
+
+// Session config fields a template remembers (everything but the run itself).
+export const TEMPLATE_FIELDS = [
+  "subject",
+  "goal",
+  "tasks",
+  "durationMinutes",
+  "wantsBackgroundAudio",
+  "wantsAlerts",
+  "awaySeconds",
+  "distractionDelaySec",
+  "fatigueBreakLevel",
+  "sessionMode",
+  "autoEnd",
+  "pomodoro",
+];
+
+export function listTemplates(profile) {
+  return Array.isArray(profile?.templates) ? profile.templates : [];
+}
+
+// The session config a template starts, in the shape PreSessionForm builds, with
+// the form's defaults and the profile settings filling any gaps.
+export function configFromTemplate(template, settings, now = new Date()) {
+  const config = {
+    subject: UNTITLED_SUBJECT,
+    goal: NO_GOAL,
+    tasks: [],
+    durationMinutes: DEFAULT_DURATION_MINUTES,
+    endsAt: null,
+    wantsBackgroundAudio: settings.wantsBackgroundAudio,
+    wantsAlerts: settings.wantsAlerts,
+    pomodoro: settings.usePomodoro ? settings.pomodoroSettings : null,
+    awaySeconds: settings.awaySeconds,
+    distractionDelaySec: settings.distractionDelaySec,
+    fatigueBreakLevel: settings.fatigueBreakLevel,
+    sessionMode: settings.sessionMode,
+    autoEnd: settings.autoEnd,
+  };
+  for (const field of TEMPLATE_FIELDS) {
+    if (template[field] !== undefined) config[field] = template[field];
+  }
+  if (template.endsAtTime) {
+    const { minutes, endsAt } = parseDuration(`until ${template.endsAtTime}`, now);
+    if (endsAt) {
+      config.durationMinutes = minutes;
+      config.endsAt = endsAt.toISOString();
+    }
+  }
+  config.pomodoro = config.pomodoro ? normalizePomodoro(config.pomodoro) : null;
+  // fresh, unticked tasks so sessions started from one template never share task ids
+  config.tasks = (config.tasks || []).map((t) => ({ id: makeId(), text: t.text, doneAt: null }));
+  return config;
+}
+
+// Saves config under name, replacing a template with the same name.
+export function saveTemplate(profile, name, config) {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error("Enter a name for the template.");
+  const existing = listTemplates(profile);
+  const previous = existing.find((t) => t.name.toLowerCase() === trimmed.toLowerCase());
+  const template = { id: previous?.id ?? makeId(), name: trimmed };
+  for (const field of TEMPLATE_FIELDS) template[field] = config[field];
+  template.endsAtTime = config.endsAt ? clockTime(config.endsAt) : null;
+  const templates = previous
+    ? existing.map((t) => (t.id === previous.id ? template : t))
+    : [...existing, template];
+  return saveRecord(STORES.profiles, { ...profile, templates });
+}
+
+// "45 min" or "until 17:30", for the template chips.
+export const templateDuration = (template) =>
+  template.endsAtTime ? `until ${template.endsAtTime}` : `${template.durationMinutes} min`;
+
+export function deleteTemplate(profile, templateId) {
+  const templates = listTemplates(profile).filter((t) => t.id !== templateId);
+  return saveRecord(STORES.profiles, { ...profile, templates });
+}
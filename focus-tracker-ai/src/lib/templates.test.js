@@ -0,0 +1,48 @@
+// src/lib/templates.test.js
+// The session config a template starts. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DEFAULT_SETTINGS } from "./profiles.js";
+import { configFromTemplate, templateDuration } from "./templates.js";
+
+const settings = {
+  ...DEFAULT_SETTINGS,
+  shortcuts: { pause: "p" },
+  poseBaseline: { neutral: { yaw: 0, pitch: 0, roll: 0 } },
+  usePomodoro: true,
+};
+
+describe("configFromTemplate", () => {
+  it("builds only session config fields, with the profile settings filling gaps", () => {
+    const config = configFromTemplate({ subject: "Maths", durationMinutes: 45, pomodoro: null }, settings);
+    assert.deepEqual(Object.keys(config).sort(), [
+      "autoEnd",
+      "awaySeconds",
+      "distractionDelaySec",
+      "durationMinutes",
+      "endsAt",
+      "fatigueBreakLevel",
+      "goal",
+      "pomodoro",
+      "sessionMode",
+      "subject",
+      "tasks",
+      "wantsAlerts",
+      "wantsBackgroundAudio",
+    ]);
+    assert.equal(config.subject, "Maths");
+    assert.equal(config.durationMinutes, 45);
+    assert.equal(config.awaySeconds, DEFAULT_SETTINGS.awaySeconds);
+    assert.equal(config.pomodoro, null);
+  });
+
+  it("counts an until template's minutes from when it is used", () => {
+    const template = { subject: "Essay", durationMinutes: 300, endsAtTime: "17:30" };
+    const now = new Date(2026, 9, 19, 16, 0);
+    const config = configFromTemplate(template, settings, now);
+    assert.equal(config.durationMinutes, 90);
+    assert.equal(new Date(config.endsAt).getTime(), new Date(2026, 9, 19, 17, 30).getTime());
+    assert.equal(templateDuration(template), "until 17:30");
+  });
+});